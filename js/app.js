@@ -4,19 +4,38 @@
  */
 
 import { Serial } from './serial.js';
-import { MspParser, MSP, mspEncode, readU8, readU16, readU32 } from './msp.js';
-import { setText, sensorString, sleep } from './util.js';
-import { handleStatusMessage } from './tabs/status.js';
-import { handleReceiverMessage } from './tabs/receiver.js';
-import { handleSensorsMessage } from './tabs/sensors.js';
-import { cliParse, enterCli, exitCli, cliReset, setRebootCallback } from './cli.js';
+import { BleSerial } from './ble.js';
+import { WebSocketSerial } from './websocket.js';
+import { VirtualSerial } from './virtual.js';
+import { SessionRecorder, ReplaySerial, parseCapture } from './capture.js';
+import { MspParser, MSP, mspCommandName, mspVersionForApi } from './msp.js';
+import { LinkMetrics } from './metrics.js';
+import { PollScheduler } from './scheduler.js';
+import { SENSOR, probeCapabilities, probeFailed, capabilitySummary, supportsCommand, hasSensor } from './capabilities.js';
+import { setText, sensorString, downloadText, fileTimestamp } from './util.js';
+import { handleStatusMessage, statusPolls } from './tabs/status.js';
+import { handleReceiverMessage, receiverPolls } from './tabs/receiver.js';
+import { handleSensorsMessage, sensorsPolls } from './tabs/sensors.js';
+import { inspectFrame, inspectorPolls, onInspectorActivate, resetInspector } from './tabs/inspector.js';
+import { cliParse, enterCli, exitCli, cliReset, setRebootCallback, setCliMode } from './cli.js';
 import { initTerminal, onTerminalActivate, onTerminalDeactivate } from './tabs/terminal.js';
-import { initLog, log } from './log.js';
+import { initLog, log, logText } from './log.js';
 
 // --- Globals ---
-const serial = new Serial();
+const transports = {
+  usb: new Serial(),
+  ble: new BleSerial(),
+  net: new WebSocketSerial(),
+  virtual: new VirtualSerial(),
+  replay: new ReplaySerial(),
+};
+let serial = transports.usb;   // active transport (selected on connect)
 const parser = new MspParser();
-let pollTimer = null;
+const recorder = new SessionRecorder();
+let rxMode = 'msp';            // parser fed by onSerialData: 'msp' or 'cli'
+let configuratorVersion = '';
+const scheduler = new PollScheduler(parser);
+let linkCheckTimer = null;
 let activeTab = 'status';
 let rebootPending = false;
 let reconnecting = false;
@@ -26,26 +45,37 @@ let lastMspResponseMs = 0;
 let prevLinkState = '';
 const LINK_STALE_MS = 2000;
 const LINK_DEAD_MS  = 5000;
+const metrics = new LinkMetrics();
+let metricsTimer = null;
 
 // --- FC identity (populated on connect) ---
 let fcVariant = '';
 let fcVersion = '';
 let boardName = '';
+let boardInfo = null;          // MSP_BOARD_INFO fields
+let apiVersion = '';
+let capabilities = null;       // probeCapabilities() result, null = assume everything
 
 // --- DOM refs ---
 const btnConnect  = document.getElementById('btn-connect');
 const connStatus  = document.getElementById('conn-status');
 const portSelect  = document.getElementById('port-select');
+const netAddress  = document.getElementById('net-address');
+const replaySpeed = document.getElementById('replay-speed');
+const btnRecord   = document.getElementById('btn-record');
 const sidebar     = document.getElementById('sidebar');
 const statusBar   = document.getElementById('status-bar');
 
 // --- Port scanning ---
 
-/** Scanned port objects keyed by dropdown index */
+/** Scanned port objects keyed by dropdown index: { port, label, transport } */
 let scannedPorts = [];
 
 async function refreshPortList() {
-  const ports = await serial.scanPorts();
+  const ports = [];
+  for (const [kind, transport] of Object.entries(transports)) {
+    for (const p of await transport.scanPorts()) ports.push({ ...p, transport: kind });
+  }
   scannedPorts = ports;
 
   portSelect.innerHTML = '';
@@ -56,34 +86,63 @@ async function refreshPortList() {
     portSelect.appendChild(opt);
   }
 
-  // Always add "New port..." option
-  const newOpt = document.createElement('option');
-  newOpt.value = 'new';
-  newOpt.textContent = ports.length ? '+ New port...' : 'Select port...';
-  portSelect.appendChild(newOpt);
+  // "New port..." options for each available API
+  if (navigator.serial || !navigator.bluetooth) {
+    addPortOption('new', ports.length ? '+ New port...' : 'Select port...');
+  }
+  if (navigator.bluetooth) {
+    addPortOption('ble', '+ Bluetooth device...');
+  }
+  addPortOption('net', '+ Network (WebSocket)...');
+  addPortOption('virtual', 'Virtual FC (demo)');
+  addPortOption('replay', 'Replay capture...');
 
   // Auto-select first real port if available
   if (ports.length > 0) {
     portSelect.value = '0';
   }
+  updatePortExtras();
+}
+
+function addPortOption(value, text) {
+  const opt = document.createElement('option');
+  opt.value = value;
+  opt.textContent = text;
+  portSelect.appendChild(opt);
+}
+
+/** Show the host:port field / replay speed only while their option is selected */
+function updatePortExtras() {
+  netAddress.classList.toggle('hidden', portSelect.value !== 'net' || portSelect.disabled);
+  replaySpeed.classList.toggle('hidden', portSelect.value !== 'replay' || portSelect.disabled);
+  if (portSelect.value === 'net' && !portSelect.disabled) netAddress.focus();
 }
 
+portSelect.addEventListener('change', updatePortExtras);
+netAddress.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') btnConnect.click();
+});
+
 // Initial scan + event-driven updates
-serial.onPortsChanged = () => { if (!serial.connected) refreshPortList(); };
-serial.startPortEvents();
+for (const transport of Object.values(transports)) {
+  transport.onPortsChanged = () => { if (!serial.connected) refreshPortList(); };
+  transport.startPortEvents();
+}
 refreshPortList();
 
 // --- Log ---
 initLog();
 fetch('manifest.json').then(r => r.json()).then(m => {
   if (m.version) {
+    configuratorVersion = m.version;
     setText('configurator-version', m.version);
     log(`Configurator v${m.version} started — ${navigator.platform}`);
   }
 }).catch(() => {
   log(`Configurator started — ${navigator.platform}`);
 });
-if (!navigator.serial) log('WebSerial API not available — use Chrome or Edge');
+if (!navigator.serial && !navigator.bluetooth) log('WebSerial API not available — use Chrome or Edge');
+else if (!navigator.serial) log('WebSerial API not available — Bluetooth only');
 
 // --- Connection ---
 
@@ -111,19 +170,36 @@ async function handleConnectClick() {
     rebootPending = false;
     serial.onDisconnect = null;  // Prevent read loop from double-firing onDisconnect
     stopPolling();
+    stopMetrics();
     await serial.disconnect();
     disconnectUI();
     refreshPortList();
   } else {
     try {
       const sel = portSelect.value;
-      if (sel !== 'new' && scannedPorts[parseInt(sel)]) {
-        await serial.connectPort(scannedPorts[parseInt(sel)].port, 115200);
+      const scanned = scannedPorts[parseInt(sel)];
+      if (scanned) {
+        serial = transports[scanned.transport];
+        await serial.connectPort(scanned.port, 115200);
+      } else if (sel === 'ble') {
+        serial = transports.ble;
+        await serial.connectNew();
+      } else if (sel === 'net') {
+        serial = transports.net;
+        await serial.connectNew(netAddress.value);
+      } else if (sel === 'virtual') {
+        serial = transports.virtual;
+        await serial.connectNew();
+      } else if (sel === 'replay') {
+        await loadReplay();
+        serial = transports.replay;
+        await serial.connectNew();
       } else {
+        serial = transports.usb;
         await serial.connectNew(115200);
       }
       onConnect();
-      log('Serial port opened');
+      log(serial.linkName + ' opened');
       // Refresh to pick up newly-granted port
       refreshPortList();
     } catch (err) {
@@ -137,6 +213,9 @@ async function handleConnectClick() {
 function onConnect() {
   // Clear stale state from any prior connection (BF/INAV pattern)
   parser.reset();
+  parser.version = 1;  // V1 until MSP_API_VERSION says otherwise
+  capabilities = null;
+  applyCapabilities();
   cliReset();
   lastMspResponseMs = 0;
   updateLinkIndicator('');
@@ -146,18 +225,33 @@ function onConnect() {
   connStatus.classList.remove('disconnected', 'reconnecting');
   connStatus.classList.add('connected');
   portSelect.disabled = true;
+  updatePortExtras();
   sidebar.classList.remove('hidden');
   statusBar.classList.remove('hidden');
 
-  // Wire serial data into MSP parser
-  serial.onReceive = (data) => parser.parse(data);
+  // Wire serial data into MSP parser (and the session recorder)
+  rxMode = 'msp';
+  serial.onReceive = onSerialData;
+  serial.onWrite = onSerialWrite;
   serial.onDisconnect = () => onDisconnect();
 
-  // Wire parsed MSP messages to handler
+  // Wire MSP requests out through the active transport, parsed messages to handler
+  parser.send = (frame) => serial.write(frame);
   parser.onMessage = handleMessage;
+  scheduler.setByteRate(serial.byteRate);
+
+  // Frame log for the Inspector tab and link metrics (both restart per connection)
+  parser.resetStats();
+  resetInspector(parser);
+  startMetrics();
+  parser.onFrame = (frame) => {
+    metrics.onFrame(frame);
+    try { inspectFrame(frame); } catch (e) { console.error('Inspector:', e); }
+  };
+  parser.onTimeout = (cmd) => metrics.onTimeout(cmd);
 
   // Initialize terminal tab
-  initTerminal(serial);
+  initTerminal(fcIdentity);
 
   // Reboot detection — flag for auto-reconnect in onDisconnect
   setRebootCallback(() => { rebootPending = true; });
@@ -168,8 +262,9 @@ function onConnect() {
 
 function onDisconnect() {
   stopPolling();
+  stopMetrics();
   cliReset();
-  log('Serial port closed');
+  log(serial.linkName + ' closed');
   if (rebootPending) {
     rebootPending = false;
     handleRebootReconnect();
@@ -186,12 +281,17 @@ function disconnectUI() {
   connStatus.classList.remove('connected', 'reconnecting');
   connStatus.classList.add('disconnected');
   portSelect.disabled = false;
+  updatePortExtras();
   sidebar.classList.add('hidden');
   statusBar.classList.add('hidden');
   setText('fc-info', '');
   fcVariant = '';
   fcVersion = '';
   boardName = '';
+  boardInfo = null;
+  apiVersion = '';
+  capabilities = null;
+  applyCapabilities();
 
   // Reset all displayed values to '--'
   document.querySelectorAll('.val').forEach(el => el.textContent = '--');
@@ -236,33 +336,172 @@ async function handleRebootReconnect() {
 
 // --- Serial receive switching ---
 
-/** Switch serial.onReceive to MSP parser */
+/** Route received bytes to the active parser */
+function onSerialData(data) {
+  recordChunk('rx', data);
+  metrics.addBytes('rx', data.length);
+  if (rxMode === 'cli') cliParse(data);
+  else parser.parse(data);
+}
+
+function onSerialWrite(data) {
+  recordChunk('tx', data);
+  metrics.addBytes('tx', data.length);
+}
+
+/** Switch serial data to MSP parser */
 function switchToMsp() {
-  serial.onReceive = (data) => parser.parse(data);
+  rxMode = 'msp';
 }
 
-/** Switch serial.onReceive to CLI text parser */
+/** Switch serial data to CLI text parser */
 function switchToCli() {
-  serial.onReceive = (data) => cliParse(data);
+  rxMode = 'cli';
+}
+
+// --- Session capture / replay ---
+
+function recordChunk(dir, data) {
+  if (!recorder.active || serial === transports.replay) return;
+  if (!recorder.record(dir, data, rxMode)) {
+    log('Session capture size limit reached — recording stopped');
+    stopRecording();
+  }
 }
 
+btnRecord.addEventListener('click', () => {
+  if (recorder.active) {
+    stopRecording();
+    return;
+  }
+  recorder.start();
+  btnRecord.classList.add('recording');
+  btnRecord.textContent = 'Stop';
+  log('Session capture started');
+});
+
+/** Stop capturing and download the capture file */
+function stopRecording() {
+  recorder.stop();
+  btnRecord.classList.remove('recording');
+  btnRecord.textContent = 'Rec';
+  if (recorder.events.length === 0) {
+    log('Session capture stopped — nothing recorded');
+    return;
+  }
+  const meta = {
+    configurator: configuratorVersion,
+    platform: navigator.platform,
+    link: serial.linkName,
+    variant: fcVariant,
+    version: fcVersion,
+    board: boardName,
+  };
+  const filename = `drehm-capture-${fileTimestamp()}.json`;
+  downloadText(filename, recorder.serialize(meta), 'application/json');
+  log(`Session capture saved to ${filename} (${recorder.events.length} chunks, ${recorder.bytes} bytes)`);
+}
+
+/** Prompt for a capture file and load it into the replay transport */
+async function loadReplay() {
+  const input = document.getElementById('capture-file-input');
+  const file = await new Promise(resolve => {
+    input.value = '';
+    input.onchange = () => resolve(input.files[0] || null);
+    input.oncancel = () => resolve(null);
+    input.click();
+  });
+  if (!file) throw new Error('No capture file selected');
+  const capture = parseCapture(await file.text());
+  const speed = parseFloat(replaySpeed.value) || 1;
+  transports.replay.load(capture, file.name, speed);
+  const m = capture.meta;
+  log(`Replaying ${file.name} at ${speed}x — recorded ${capture.started || 'unknown date'}` +
+      (m.board ? ` on ${m.variant} v${m.version} ${m.board}` : ''));
+}
+
+/** Replay: mirror the live CLI enter/exit so each chunk reaches the same parser */
+let replayReturnTab = 'status';
+transports.replay.onModeChange = (mode) => {
+  if (mode === 'cli') {
+    stopPolling();
+    statusBar.classList.add('stale');
+    updateLinkIndicator('');
+    replayReturnTab = activeTab === 'terminal' ? 'status' : activeTab;
+    activateTab('terminal');
+    onTerminalActivate();
+    setCliMode(true);
+    switchToCli();
+  } else {
+    onTerminalDeactivate();
+    cliReset();
+    switchToMsp();
+    lastMspResponseMs = 0;
+    statusBar.classList.remove('stale');
+    if (activeTab === 'terminal') activateTab(replayReturnTab);
+    startPolling();
+  }
+};
+transports.replay.onFinished = () => log('Replay finished — click Disconnect to close');
+
 // --- Identity handshake ---
 
 async function queryIdentity() {
-  // Send identity queries with small delays for reliable parsing
-  await serial.write(mspEncode(MSP.API_VERSION));
-  await sleep(50);
-  await serial.write(mspEncode(MSP.FC_VARIANT));
-  await sleep(50);
-  await serial.write(mspEncode(MSP.FC_VERSION));
-  await sleep(50);
-  await serial.write(mspEncode(MSP.BOARD_INFO));
-  await sleep(50);
-
-  // Start polling after identity queries sent
+  // Sequential: the API_VERSION reply selects the framing for the rest
+  const queries = [MSP.API_VERSION, MSP.FC_VARIANT, MSP.FC_VERSION, MSP.BOARD_INFO];
+  for (const cmd of queries) {
+    try {
+      await parser.request(cmd);
+    } catch (err) {
+      if (err.reason === 'cancelled') return;  // disconnected mid-handshake
+      log(`Identity query ${mspCommandName(cmd)} failed (${err.reason})`);
+    }
+  }
+  if (!await probeBoard()) return;
+
+  // Start polling once identity and capabilities are known
   startPolling();
 }
 
+/**
+ * Find out which telemetry commands and sensors the board has, then adapt the UI.
+ * @returns {Promise<boolean>} false if the link closed mid-probe
+ */
+async function probeBoard() {
+  if (serial === transports.replay) return true;  // replays can't answer requests
+  let caps;
+  try {
+    caps = await probeCapabilities(parser, apiVersion);
+  } catch {
+    return false;
+  }
+  if (probeFailed(caps)) {
+    log('Board capabilities — no reply to any probe, showing all features');
+    return true;
+  }
+  capabilities = caps;
+  log('Board capabilities — ' + capabilitySummary(caps).join('; '));
+  applyCapabilities();
+  return true;
+}
+
+/** Grey out tabs/fields whose MSP command isn't answered, hide sensors the board lacks */
+function applyCapabilities() {
+  document.querySelectorAll('[data-msp]').forEach(el => {
+    const ok = supportsCommand(capabilities, MSP[el.dataset.msp]);
+    el.classList.toggle('unsupported', !ok);
+    if (ok) el.removeAttribute('title');
+    else el.title = 'Not supported by this board';
+    if (el.classList.contains('tab')) el.disabled = !ok;
+  });
+  document.querySelectorAll('[data-sensor]').forEach(el => {
+    el.classList.toggle('hidden', !hasSensor(capabilities, SENSOR[el.dataset.sensor]));
+  });
+
+  const tab = document.querySelector(`.tab[data-tab="${activeTab}"]`);
+  if (tab && tab.disabled) activateTab('status');
+}
+
 // --- Message dispatch ---
 
 function handleMessage(msg) {
@@ -271,23 +510,30 @@ function handleMessage(msg) {
 
   // Identity responses
   switch (msg.cmd) {
+    case MSP.API_VERSION: {
+      const { apiMajor, apiMinor } = msg.data;
+      apiVersion = `${apiMajor}.${apiMinor}`;
+      parser.version = mspVersionForApi(apiMajor, apiMinor);
+      if (parser.version === 2) log(`MSP V2 framing enabled (API ${apiMajor}.${apiMinor})`);
+      break;
+    }
+
     case MSP.FC_VARIANT:
-      fcVariant = String.fromCharCode(...msg.payload.slice(0, 4));
+      fcVariant = msg.data.variant;
       updateFcInfo();
       break;
 
     case MSP.FC_VERSION:
-      fcVersion = `${readU8(msg.payload, 0)}.${readU8(msg.payload, 1)}.${readU8(msg.payload, 2)}`;
+      fcVersion = `${msg.data.major}.${msg.data.minor}.${msg.data.patch}`;
       updateFcInfo();
       break;
 
-    case MSP.BOARD_INFO: {
-      const nameLen = readU8(msg.payload, 8);
-      boardName = String.fromCharCode(...msg.payload.slice(9, 9 + nameLen));
+    case MSP.BOARD_INFO:
+      boardName = msg.data.boardName;
+      boardInfo = msg.data;
       updateFcInfo();
       log(`Connected — ${fcVariant} v${fcVersion} on ${boardName}`);
       break;
-    }
   }
 
   // Status bar (always updated regardless of active tab)
@@ -300,6 +546,11 @@ function handleMessage(msg) {
   try { handleSensorsMessage(msg); } catch (e) { console.error('Sensors handler:', e); }
 }
 
+/** Connected FC identity (terminal backups) */
+function fcIdentity() {
+  return { variant: fcVariant, version: fcVersion, api: apiVersion, board: boardInfo };
+}
+
 function updateFcInfo() {
   const parts = [];
   if (fcVariant) parts.push(fcVariant);
@@ -317,11 +568,8 @@ function updateFcInfo() {
 function updateStatusBar(msg) {
   if (msg.cmd !== MSP.STATUS) return;
 
-  const cycleTime = readU16(msg.payload, 0);
-  const cpuLoad   = readU16(msg.payload, 2);
-  const sensors   = readU16(msg.payload, 4);
-  const flags     = readU32(msg.payload, 6);
-  const armed     = (flags & 1) !== 0;
+  const { cycleTime, cpuLoad, sensors, flags } = msg.data;
+  const armed = (flags & 1) !== 0;
 
   setText('bar-armed', armed ? 'YES' : 'NO');
   setText('bar-cycle', cycleTime + ' \u00B5s');
@@ -347,74 +595,140 @@ function updateLinkIndicator(state) {
   }
 }
 
-// --- Polling ---
+// --- Link metrics ---
 
-/** Get poll interval: sensors tab uses selectable refresh rate, others 250ms */
-function getPollInterval() {
-  if (activeTab === 'sensors') {
-    const sel = document.getElementById('sensor-refresh');
-    return sel ? parseInt(sel.value) : 100;
-  }
-  return 250;
+function startMetrics() {
+  stopMetrics();
+  metrics.reset();
+  updateLinkMetrics();
+  metricsTimer = setInterval(() => {
+    metrics.tick();
+    updateLinkMetrics();
+  }, 1000);
 }
 
-function startPolling() {
-  if (pollTimer) return;
-  pollTimer = setInterval(() => pollActiveTab(), getPollInterval());
+function stopMetrics() {
+  if (metricsTimer) {
+    clearInterval(metricsTimer);
+    metricsTimer = null;
+  }
 }
 
-function stopPolling() {
-  if (pollTimer) {
-    clearInterval(pollTimer);
-    pollTimer = null;
+/** Status bar: RTT sparkline, RTT / success / frame rate / throughput over the last seconds */
+function updateLinkMetrics() {
+  const s = metrics.summary();
+  const parts = [
+    s.rtt === null ? '-- ms' : s.rtt.toFixed(0) + ' ms',
+    s.successPct === null ? '--%' : s.successPct.toFixed(0) + '%',
+    s.fps.toFixed(0) + ' fps',
+    formatRate(s.rxBps + s.txBps),
+  ];
+  if (s.checksumPct > 0) parts.push(s.checksumPct.toFixed(1) + '% CRC err');
+  setText('bar-link-metrics', parts.join(' \u00B7 '));
+
+  const el = document.getElementById('link-metrics');
+  if (el) {
+    el.title = 'Round-trip time, request success, frames/s, bytes/s (last 5 s)\n' +
+      `RX ${formatRate(s.rxBps)}, TX ${formatRate(s.txBps)}, checksum errors ${s.checksumPct.toFixed(2)}%`;
   }
-  parser.reset();
+  drawSparkline(document.getElementById('link-sparkline'), metrics.rttHistory());
 }
 
-/** Restart polling with updated interval (called on refresh rate change or tab switch) */
-function restartPolling() {
-  if (!serial.connected || activeTab === 'terminal') return;
-  if (pollTimer) clearInterval(pollTimer);
-  pollTimer = setInterval(() => pollActiveTab(), getPollInterval());
+function formatRate(bps) {
+  return bps < 1024 ? bps.toFixed(0) + ' B/s' : (bps / 1024).toFixed(1) + ' kB/s';
 }
 
-async function pollActiveTab() {
-  if (!serial.connected) return;
+/** Round-trip time per second, scaled to the window maximum (gaps = no replies) */
+function drawSparkline(canvas, values) {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  ctx.clearRect(0, 0, w, h);
+  const max = Math.max(10, ...values.filter(v => v !== null));
+  const step = w / 60;
+  ctx.strokeStyle = getComputedStyle(canvas).color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  let drawing = false;
+  values.forEach((v, i) => {
+    if (v === null) {
+      drawing = false;
+      return;
+    }
+    const x = w - (values.length - i) * step;
+    const y = h - 1 - (v / max) * (h - 2);
+    if (drawing) ctx.lineTo(x, y);
+    else ctx.moveTo(x, y);
+    drawing = true;
+  });
+  ctx.stroke();
+}
 
-  // Link quality check
-  if (lastMspResponseMs > 0) {
-    const elapsed = performance.now() - lastMspResponseMs;
-    if (elapsed > LINK_DEAD_MS) updateLinkIndicator('dead');
-    else if (elapsed > LINK_STALE_MS) updateLinkIndicator('stale');
-  }
+// Log export — log lines followed by the link metrics report
+document.getElementById('log-export').addEventListener('click', () => {
+  const fc = boardName ? `${fcVariant} v${fcVersion} on ${boardName}` : 'not connected';
+  const text = [
+    `dRehmFlight Configurator ${configuratorVersion} — ${navigator.platform}`,
+    `Flight controller: ${fc}`,
+    '',
+    logText(),
+    '',
+    metrics.report(serial.linkName),
+    '',
+  ].join('\n');
+  const filename = `drehm-log-${fileTimestamp()}.txt`;
+  downloadText(filename, text);
+  log(`Log exported to ${filename}`);
+});
 
-  // Always poll MSP_STATUS for the status bar
-  const commands = [MSP.STATUS];
+// --- Polling ---
 
-  switch (activeTab) {
-    case 'status':
-      commands.push(MSP.ATTITUDE, MSP.ANALOG);
-      break;
-    case 'receiver':
-      commands.push(MSP.RC);
-      break;
-    case 'sensors':
-      commands.push(MSP.RAW_IMU);
-      break;
-    // terminal tab doesn't poll MSP — it's in CLI mode
-  }
+/** Tab subscriptions: each returns { cmd: intervalMs } for shown (true) / background (false) */
+const TAB_POLLS = {
+  status: statusPolls,
+  receiver: receiverPolls,
+  sensors: sensorsPolls,
+  inspector: inspectorPolls,
+};
 
-  for (const cmd of commands) {
-    const frame = mspEncode(cmd);
-    parser.trackRequest(cmd, () => serial.write(frame).catch(() => {}));
-    try {
-      await serial.write(frame);
-    } catch {
-      return;  // Port closed — disconnect handler will clean up
-    }
+/** Status bar refresh (MSP_STATUS), independent of the active tab */
+const STATUS_BAR_POLL_MS = 250;
+
+function startPolling() {
+  updateSubscriptions();
+  scheduler.start();
+  if (!linkCheckTimer) linkCheckTimer = setInterval(checkLinkQuality, 250);
+}
+
+function stopPolling() {
+  scheduler.stop();
+  clearInterval(linkCheckTimer);
+  linkCheckTimer = null;
+  parser.reset();
+}
+
+/** Re-declare every subscriber's polls (tab switch, refresh rate change, capabilities) */
+function updateSubscriptions() {
+  scheduler.set('status-bar', supportedPolls({ [MSP.STATUS]: STATUS_BAR_POLL_MS }));
+  for (const [tab, polls] of Object.entries(TAB_POLLS)) {
+    scheduler.set(tab, supportedPolls(polls(tab === activeTab)));
   }
 }
 
+/** Drop commands the capability probe found unanswered */
+function supportedPolls(polls) {
+  return Object.fromEntries(Object.entries(polls).filter(([cmd]) => supportsCommand(capabilities, Number(cmd))));
+}
+
+/** Stale/lost link detection from the time of the last MSP response */
+function checkLinkQuality() {
+  if (!serial.connected || lastMspResponseMs === 0) return;
+  const elapsed = performance.now() - lastMspResponseMs;
+  if (elapsed > LINK_DEAD_MS) updateLinkIndicator('dead');
+  else if (elapsed > LINK_STALE_MS) updateLinkIndicator('stale');
+}
+
 // --- Tab switching ---
 
 /** Activate a tab by name (updates DOM + activeTab state) */
@@ -434,6 +748,7 @@ function activateTab(target) {
   }
 
   activeTab = target;
+  if (target === 'inspector') onInspectorActivate();
 }
 
 document.querySelectorAll('.tab').forEach(tab => {
@@ -441,6 +756,12 @@ document.querySelectorAll('.tab').forEach(tab => {
     const target = tab.dataset.tab;
     if (target === activeTab) return;
 
+    // Replay drives CLI mode from the capture — tabs only change the view
+    if (serial === transports.replay && serial.connected) {
+      activateTab(target);
+      return;
+    }
+
     const prevTab = activeTab;
     const wasTerminal = activeTab === 'terminal';
     const goingToTerminal = target === 'terminal';
@@ -474,15 +795,15 @@ document.querySelectorAll('.tab').forEach(tab => {
       log('Entered CLI mode');
     }
 
-    // Switching between non-terminal tabs → restart polling at correct rate
+    // Switching between non-terminal tabs → foreground/background rates change
     if (!wasTerminal && !goingToTerminal && serial.connected) {
-      restartPolling();
+      updateSubscriptions();
     }
   });
 });
 
-// Refresh rate change → restart polling immediately
+// Refresh rate change → new RAW_IMU rate applies on the next scheduler tick
 const refreshSel = document.getElementById('sensor-refresh');
 if (refreshSel) {
-  refreshSel.addEventListener('change', () => restartPolling());
+  refreshSel.addEventListener('change', () => updateSubscriptions());
 }
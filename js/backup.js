@@ -0,0 +1,127 @@
+/**
+ * @file backup.js
+ * @brief Full configuration backup and restore over the CLI
+ *
+ * A backup holds the FC identity (MSP variant, version, BOARD_INFO), the `set`
+ * parameter list and the raw output of the firmware's informational commands
+ * (`version`, plus `diff`/`dump` where the firmware has them) in one versioned
+ * JSON file. Restore replays the parameters with `set` and finishes with
+ * `save`; the raw command output is kept for reference.
+ */
+
+import { runCommand, parseSetOutput } from './cli.js';
+
+const BACKUP_FORMAT = 'drehm-backup';
+const BACKUP_VERSION = 1;
+
+/** Captured verbatim when the firmware has them ('Unknown command' is skipped) */
+const EXTRA_COMMANDS = ['version', 'diff', 'dump'];
+
+/** dump/diff can be long over a slow link */
+const READ_TIMEOUT_MS = 10000;
+
+/**
+ * Read everything the CLI exposes into a backup object.
+ * @param {{variant, version, api, board}} identity - FC identity from the MSP handshake
+ * @param {function(number, number, string)} onProgress - (done, total, command)
+ * @returns {Promise<object>} Backup document; rejects if the parameter list can't be read
+ */
+export async function createBackup(identity, onProgress = () => {}) {
+  const steps = ['set', ...EXTRA_COMMANDS];
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created: new Date().toISOString(),
+    fc: identity,
+    params: {},
+    cli: {},
+  };
+
+  for (const [i, cmd] of steps.entries()) {
+    onProgress(i, steps.length, cmd);
+    const { output, error } = await runCommand(cmd, { silent: true, timeoutMs: READ_TIMEOUT_MS, source: 'Backup' });
+    if (cmd === 'set') {
+      if (error) throw new Error(`Could not read parameters: ${error}`);
+      for (const [name, p] of parseSetOutput(output)) backup.params[name] = p.value;
+      if (Object.keys(backup.params).length === 0) throw new Error('FC reported no parameters');
+    } else if (!error && output) {
+      backup.cli[cmd] = output;
+    }
+  }
+  onProgress(steps.length, steps.length, '');
+  return backup;
+}
+
+/** Serialize a backup for download */
+export function serializeBackup(backup) {
+  return JSON.stringify(backup, null, 2) + '\n';
+}
+
+/**
+ * Parse a backup file.
+ * @param {string} text - File contents
+ * @returns {object} Backup document (params as name → value strings)
+ */
+export function parseBackup(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error('Not a backup file (invalid JSON)');
+  }
+  if (doc?.format !== BACKUP_FORMAT || typeof doc.params !== 'object' || doc.params === null) {
+    throw new Error('Not a backup file');
+  }
+  if (doc.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${doc.version} is newer than this configurator supports`);
+  }
+  const params = {};
+  for (const [name, value] of Object.entries(doc.params)) params[name] = String(value);
+  return { ...doc, fc: doc.fc || {}, params, cli: doc.cli || {} };
+}
+
+/**
+ * Differences between the backup's source and the connected FC worth a warning
+ * (restoring onto a replacement board is expected, so nothing here is fatal).
+ * @returns {string[]}
+ */
+export function backupMismatch(backup, identity) {
+  const warnings = [];
+  const from = backup.fc;
+  if (from.variant && identity.variant && from.variant !== identity.variant) {
+    warnings.push(`backup is from ${from.variant} firmware, FC runs ${identity.variant}`);
+  }
+  if (from.version && identity.version && from.version !== identity.version) {
+    warnings.push(`backup is from firmware v${from.version}, FC runs v${identity.version}`);
+  }
+  const fromBoard = from.board?.boardName;
+  const toBoard = identity.board?.boardName;
+  if (fromBoard && toBoard && fromBoard !== toBoard) {
+    warnings.push(`backup is from board ${fromBoard}, FC is ${toBoard}`);
+  }
+  return warnings;
+}
+
+/**
+ * Write a backup's parameters to the FC and save.
+ * @param {object} backup - parseBackup() result
+ * @param {function(number, number, string)} onProgress - (done, total, parameter)
+ * @returns {Promise<{applied: number, failed: Array<{name, value, error}>, saveError: string|null}>}
+ */
+export async function restoreBackup(backup, onProgress = () => {}) {
+  const entries = Object.entries(backup.params);
+  const failed = [];
+  for (const [i, [name, value]] of entries.entries()) {
+    onProgress(i, entries.length, name);
+    const { error } = await runCommand(`set ${name} ${value}`, { silent: true, source: 'Restore' });
+    if (error) failed.push({ name, value, error });
+  }
+  onProgress(entries.length, entries.length, '');
+
+  const applied = entries.length - failed.length;
+  let saveError = null;
+  if (applied > 0) {
+    ({ error: saveError } = await runCommand('save', { silent: true, source: 'Restore' }));
+  }
+  return { applied, failed, saveError };
+}
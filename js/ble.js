@@ -0,0 +1,273 @@
+/**
+ * @file ble.js
+ * @brief Web Bluetooth BLE UART transport for dRehmFlight PWA Configurator
+ *
+ * Same surface as Serial (serial.js) over a BLE UART bridge — Nordic UART
+ * Service or HM-10 style FFE0/FFE1. Writes are split into MTU-sized chunks and
+ * serialized; notifications are coalesced before dispatch so text checks in
+ * cli.js ('CLI', 'Rebooting', prompt) never see a word split across packets.
+ */
+
+/** Supported UART services: write = PWA → FC, notify = FC → PWA */
+const UART_PROFILES = [
+  {
+    name: 'Nordic UART',
+    service: '6e400001-b5a3-f393-e0a9-e50e24dcca9e',
+    write:   '6e400002-b5a3-f393-e0a9-e50e24dcca9e',
+    notify:  '6e400003-b5a3-f393-e0a9-e50e24dcca9e',
+  },
+  {
+    name: 'HM-10',
+    service: '0000ffe0-0000-1000-8000-00805f9b34fb',
+    write:   '0000ffe1-0000-1000-8000-00805f9b34fb',
+    notify:  '0000ffe1-0000-1000-8000-00805f9b34fb',
+  },
+];
+
+/** Default ATT payload per write (23-byte MTU minus 3-byte ATT header) */
+const DEFAULT_CHUNK_SIZE = 20;
+
+/** Usable UART throughput: 20-byte packets at a few per connection interval */
+const BYTE_RATE = 2000;
+
+/** Notification coalescing: flush after this idle gap or once this many bytes queue */
+const RX_IDLE_MS = 8;
+const RX_MAX_BYTES = 512;
+
+export class BleSerial {
+  constructor() {
+    this.port = null;           // BluetoothDevice
+    this.server = null;
+    this.writeChar = null;
+    this.notifyChar = null;
+    this.chunkSize = DEFAULT_CHUNK_SIZE;
+    this.linkName = 'Bluetooth link';
+    this.byteRate = BYTE_RATE;  // bytes/s, for the poll scheduler
+    this.onReceive = null;      // callback(Uint8Array)
+    this.onWrite = null;        // callback(Uint8Array) — outgoing bytes (session capture)
+    this.onDisconnect = null;
+    this.onPortsChanged = null; // callback() — device list changed
+    this._cancelWait = null;    // cancellation fn for waitForPort
+    this._writeChain = Promise.resolve();
+    this._rxChunks = [];
+    this._rxBytes = 0;
+    this._rxTimer = null;
+    this._onNotify = (e) => this._queueRx(e.target.value);
+    this._onGattDisconnect = () => this._handleGattDisconnect();
+  }
+
+  get connected() {
+    return this.port !== null && this.writeChar !== null;
+  }
+
+  /** Start listening for Bluetooth adapter availability changes */
+  startPortEvents() {
+    if (!navigator.bluetooth) return;
+    navigator.bluetooth.addEventListener('availabilitychanged', () => {
+      if (this.onPortsChanged) this.onPortsChanged();
+    });
+  }
+
+  /**
+   * List previously-permitted BLE devices (requires getDevices support).
+   * @returns {Array<{port, label}>} Device objects with display labels
+   */
+  async scanPorts() {
+    if (!navigator.bluetooth || !navigator.bluetooth.getDevices) return [];
+    const devices = await navigator.bluetooth.getDevices();
+    return devices.map(device => ({
+      port: device,
+      label: 'BLE ' + (device.name || 'UART'),
+      hasUsb: false,
+    }));
+  }
+
+  /** Connect to a previously-permitted device (baud rate is set by the bridge) */
+  async connectPort(device) {
+    await this.disconnect();
+    await this._open(device);
+  }
+
+  /** Prompt user to select a BLE UART bridge and connect to it */
+  async connectNew() {
+    await this.disconnect();
+    const device = await navigator.bluetooth.requestDevice({
+      filters: UART_PROFILES.map(p => ({ services: [p.service] })),
+      optionalServices: UART_PROFILES.map(p => p.service),
+    });
+    await this._open(device);
+  }
+
+  /** Disconnect GATT and clean up */
+  async disconnect() {
+    if (!this.port) return;
+    const device = this.port;
+    const wasOpen = this.writeChar !== null;
+    device.removeEventListener('gattserverdisconnected', this._onGattDisconnect);
+    if (this.notifyChar) {
+      this.notifyChar.removeEventListener('characteristicvaluechanged', this._onNotify);
+      try { await this.notifyChar.stopNotifications(); } catch {}
+    }
+    this._clear();
+    this.port = null;
+    // A GATT link left open by waitForPort is reused by the following connectPort
+    if (wasOpen) {
+      if (device.gatt.connected) device.gatt.disconnect();
+      // Fire onDisconnect like Serial's read loop does when its reader is cancelled
+      if (this.onDisconnect) this.onDisconnect();
+    }
+  }
+
+  /** Send raw bytes, split into chunkSize writes (serialized — GATT allows one op at a time) */
+  write(data) {
+    if (!this.writeChar) return Promise.resolve();
+    const buf = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (this.onWrite) this.onWrite(buf);
+    const char = this.writeChar;
+    const op = this._writeChain.then(async () => {
+      for (let i = 0; i < buf.length; i += this.chunkSize) {
+        const chunk = buf.slice(i, i + this.chunkSize);
+        if (char.properties.writeWithoutResponse) {
+          await char.writeValueWithoutResponse(chunk);
+        } else {
+          await char.writeValueWithResponse(chunk);
+        }
+      }
+    });
+    // Keep the chain alive after a failed write; caller still sees the rejection
+    this._writeChain = op.catch(() => {});
+    return op;
+  }
+
+  /**
+   * Wait for the bridge to accept a GATT connection again after a reboot.
+   * Bridges powered from the FC drop the link on reboot; retries every 500ms.
+   * @param {number} timeoutMs - Maximum wait time (default 5000)
+   * @returns {Promise<boolean>} true if device reconnected, false on timeout/cancel
+   */
+  waitForPort(timeoutMs = 5000) {
+    const target = this.port;
+    if (!target) return Promise.resolve(false);
+
+    return new Promise(resolve => {
+      const pollMs = 500;
+      let elapsed = 0;
+      let timerId = null;
+      let cancelled = false;
+
+      const check = async () => {
+        try {
+          await target.gatt.connect();
+          if (cancelled) return;
+          this._cancelWait = null;
+          resolve(true);
+          return;
+        } catch {
+          if (cancelled) return;
+        }
+        elapsed += pollMs;
+        if (elapsed >= timeoutMs) {
+          this._cancelWait = null;
+          resolve(false);
+          return;
+        }
+        timerId = setTimeout(check, pollMs);
+      };
+
+      timerId = setTimeout(check, pollMs);
+      this._cancelWait = () => {
+        cancelled = true;
+        clearTimeout(timerId);
+        this._cancelWait = null;
+        resolve(false);
+      };
+    });
+  }
+
+  /** Cancel a pending waitForPort (e.g. user clicks Disconnect during wait) */
+  cancelWaitForPort() {
+    if (this._cancelWait) this._cancelWait();
+  }
+
+  /** Internal: connect GATT, find a UART profile, start notifications */
+  async _open(device) {
+    this.port = device;
+    device.addEventListener('gattserverdisconnected', this._onGattDisconnect);
+    try {
+      this.server = await device.gatt.connect();
+      for (const profile of UART_PROFILES) {
+        let service;
+        try {
+          service = await this.server.getPrimaryService(profile.service);
+        } catch {
+          continue;
+        }
+        const writeChar = await service.getCharacteristic(profile.write);
+        const notifyChar = profile.notify === profile.write
+          ? writeChar
+          : await service.getCharacteristic(profile.notify);
+        notifyChar.addEventListener('characteristicvaluechanged', this._onNotify);
+        await notifyChar.startNotifications();
+        this.notifyChar = notifyChar;
+        this.writeChar = writeChar;
+        return;
+      }
+      throw new Error('No BLE UART service found on ' + (device.name || 'device'));
+    } catch (err) {
+      device.removeEventListener('gattserverdisconnected', this._onGattDisconnect);
+      if (device.gatt.connected) device.gatt.disconnect();
+      this._clear();
+      throw err;
+    }
+  }
+
+  /** Internal: buffer a notification and schedule a coalesced flush */
+  _queueRx(view) {
+    // Copy out — the DataView's buffer may be reused by the next notification
+    const bytes = new Uint8Array(view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength));
+    this._rxChunks.push(bytes);
+    this._rxBytes += bytes.length;
+    clearTimeout(this._rxTimer);
+    if (this._rxBytes >= RX_MAX_BYTES) {
+      this._flushRx();
+    } else {
+      this._rxTimer = setTimeout(() => this._flushRx(), RX_IDLE_MS);
+    }
+  }
+
+  /** Internal: dispatch queued notifications to onReceive as one chunk */
+  _flushRx() {
+    clearTimeout(this._rxTimer);
+    this._rxTimer = null;
+    if (this._rxChunks.length === 0) return;
+    const out = new Uint8Array(this._rxBytes);
+    let offset = 0;
+    for (const chunk of this._rxChunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    this._rxChunks = [];
+    this._rxBytes = 0;
+    if (this.onReceive) this.onReceive(out);
+  }
+
+  /** Internal: GATT link dropped (remote reset, out of range, or disconnect()) */
+  _handleGattDisconnect() {
+    if (!this.writeChar) return;
+    this._flushRx();
+    this._clear();
+    if (this.onDisconnect) this.onDisconnect();
+  }
+
+  /** Internal: drop GATT references but keep this.port for waitForPort */
+  _clear() {
+    clearTimeout(this._rxTimer);
+    this._rxTimer = null;
+    this._rxChunks = [];
+    this._rxBytes = 0;
+    this.server = null;
+    this.writeChar = null;
+    this.notifyChar = null;
+    this._writeChain = Promise.resolve();
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * @file capabilities.js
+ * @brief Board capability probe — which MSP commands and sensors a board has
+ *
+ * Run once after the identity handshake. Each telemetry command is requested
+ * with a short timeout and classified as answered, refused ('!' error frame)
+ * or silent; the MSP_STATUS reply also provides the detected-sensor mask.
+ * app.js uses the result to grey out tabs/fields and skip dead polls.
+ */
+
+import { MSP, mspCommandName, mspDecode } from './msp.js';
+import { sensorString } from './util.js';
+
+/** MSP_STATUS sensor mask bits (same order as sensorString) */
+export const SENSOR = {
+  ACC:  0x01,
+  BARO: 0x02,
+  MAG:  0x04,
+  GPS:  0x08,
+  GYRO: 0x10,
+};
+
+/** Telemetry commands the UI depends on */
+const PROBE_COMMANDS = [MSP.STATUS, MSP.RAW_IMU, MSP.RC, MSP.ATTITUDE, MSP.ANALOG];
+
+/** Probes are one-offs — fail fast rather than use the polling timeout */
+const PROBE_TIMEOUT_MS = 500;
+
+/**
+ * Probe the connected board.
+ * @param {MspParser} parser - Parser wired to the open transport
+ * @param {string} api - API version from MSP_API_VERSION ('' if unknown)
+ * @returns {Promise<{api, sensors, commands: Map<number, 'ok'|'timeout'|'rejected'>}>}
+ *   Rejects with the MspError if the link was closed mid-probe.
+ */
+export async function probeCapabilities(parser, api) {
+  const caps = { api, sensors: null, commands: new Map() };
+  const results = await Promise.allSettled(PROBE_COMMANDS.map(cmd =>
+    parser.request(cmd, [], { timeoutMs: PROBE_TIMEOUT_MS, retries: 1 })));
+
+  results.forEach((result, i) => {
+    const cmd = PROBE_COMMANDS[i];
+    if (result.status === 'fulfilled') {
+      caps.commands.set(cmd, 'ok');
+      if (cmd === MSP.STATUS) {
+        const status = mspDecode(cmd, result.value);
+        caps.sensors = status.missing.includes('sensors') ? null : status.sensors;
+      }
+      return;
+    }
+    if (result.reason.reason === 'cancelled') throw result.reason;
+    caps.commands.set(cmd, result.reason.reason === 'rejected' ? 'rejected' : 'timeout');
+  });
+  return caps;
+}
+
+/** true if the board answered cmd (or nothing is known yet) */
+export function supportsCommand(caps, cmd) {
+  return !caps || !caps.commands.has(cmd) || caps.commands.get(cmd) === 'ok';
+}
+
+/** true if MSP_STATUS reported the sensor (or the mask is unknown) */
+export function hasSensor(caps, bit) {
+  return !caps || caps.sensors === null || (caps.sensors & bit) !== 0;
+}
+
+/** true if the probe got no reply at all — link problem rather than missing features */
+export function probeFailed(caps) {
+  return ![...caps.commands.values()].includes('ok');
+}
+
+/**
+ * Human-readable summary for the log panel.
+ * @returns {string[]} One line per aspect
+ */
+export function capabilitySummary(caps) {
+  const group = (state) => [...caps.commands]
+    .filter(([, s]) => s === state)
+    .map(([cmd]) => mspCommandName(cmd))
+    .join(', ');
+  const lines = [
+    `API version: ${caps.api || 'unknown'}`,
+    `Sensors: ${caps.sensors === null ? 'unknown' : sensorString(caps.sensors)}`,
+    `Answered: ${group('ok') || 'none'}`,
+  ];
+  if (group('rejected')) lines.push(`Refused: ${group('rejected')}`);
+  if (group('timeout')) lines.push(`No reply: ${group('timeout')}`);
+  return lines;
+}
@@ -0,0 +1,213 @@
+/**
+ * @file capture.js
+ * @brief Raw serial session capture and replay
+ *
+ * SessionRecorder stores timestamped RX/TX byte chunks tagged with the parser
+ * that was active (msp or cli) and serializes them to a JSON capture file.
+ * ReplaySerial is a receive-only transport with the Serial surface that plays a
+ * capture back at original or accelerated speed, announcing parser switches
+ * through onModeChange so app.js routes each chunk exactly as it did live.
+ */
+
+const CAPTURE_FORMAT = 'drehm-capture';
+const CAPTURE_VERSION = 1;
+
+/** Stop recording beyond this many raw bytes (keeps the tab responsive) */
+const MAX_CAPTURE_BYTES = 16 * 1024 * 1024;
+
+export class SessionRecorder {
+  constructor() {
+    this.active = false;
+    this.events = [];     // [t_ms, 'rx'|'tx', 'msp'|'cli', base64]
+    this.bytes = 0;
+    this.started = '';
+    this._t0 = 0;
+  }
+
+  /** Begin a new capture (discards any previous one) */
+  start() {
+    this.events = [];
+    this.bytes = 0;
+    this.started = new Date().toISOString();
+    this._t0 = performance.now();
+    this.active = true;
+  }
+
+  /** Stop capturing; events are kept until the next start() */
+  stop() {
+    this.active = false;
+  }
+
+  /**
+   * Record one chunk.
+   * @param {'rx'|'tx'} dir - Direction relative to the configurator
+   * @param {Uint8Array} data - Raw bytes
+   * @param {'msp'|'cli'} mode - Parser active when the chunk was seen
+   * @returns {boolean} false once the size limit stopped the capture
+   */
+  record(dir, data, mode) {
+    if (!this.active) return true;
+    if (this.bytes + data.length > MAX_CAPTURE_BYTES) {
+      this.active = false;
+      return false;
+    }
+    const t = Math.round((performance.now() - this._t0) * 10) / 10;
+    this.events.push([t, dir, mode, toBase64(data)]);
+    this.bytes += data.length;
+    return true;
+  }
+
+  /**
+   * Serialize the capture.
+   * @param {object} meta - Session details (configurator version, link, FC identity)
+   * @returns {string} JSON capture file contents
+   */
+  serialize(meta = {}) {
+    return JSON.stringify({
+      format: CAPTURE_FORMAT,
+      version: CAPTURE_VERSION,
+      started: this.started,
+      meta,
+      events: this.events,
+    });
+  }
+}
+
+/**
+ * Parse a capture file.
+ * @param {string} text - File contents
+ * @returns {{started, meta, events: Array<{t, dir, mode, data: Uint8Array}>}}
+ */
+export function parseCapture(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error('Not a capture file (invalid JSON)');
+  }
+  if (doc?.format !== CAPTURE_FORMAT || !Array.isArray(doc.events)) {
+    throw new Error('Not a capture file');
+  }
+  if (doc.version > CAPTURE_VERSION) {
+    throw new Error(`Capture version ${doc.version} is newer than this configurator supports`);
+  }
+  return {
+    started: doc.started || '',
+    meta: doc.meta || {},
+    events: doc.events.map(([t, dir, mode, b64]) => ({ t, dir, mode, data: fromBase64(b64) })),
+  };
+}
+
+export class ReplaySerial {
+  constructor() {
+    this.port = null;           // capture name while playing
+    this.capture = null;
+    this.speed = 1;
+    this.linkName = 'Replay';
+    this.onReceive = null;      // callback(Uint8Array)
+    this.onDisconnect = null;
+    this.onPortsChanged = null;
+    this.onModeChange = null;   // callback('msp'|'cli') — before the first chunk in that mode
+    this.onFinished = null;     // callback() — last event played
+    this._idx = 0;
+    this._mode = 'msp';
+    this._t0 = 0;
+    this._timer = null;
+  }
+
+  get connected() {
+    return this.port !== null;
+  }
+
+  /**
+   * Select the capture to play.
+   * @param {object} capture - Result of parseCapture()
+   * @param {string} name - Display name (file name)
+   * @param {number} speed - Playback speed multiplier (1 = original timing)
+   */
+  load(capture, name, speed = 1) {
+    this.capture = capture;
+    this.captureName = name;
+    this.speed = speed > 0 ? speed : 1;
+  }
+
+  /** No hot-plug events for replays */
+  startPortEvents() {}
+
+  /** Offered via a fixed dropdown entry, not the scanned list */
+  async scanPorts() {
+    return [];
+  }
+
+  /** Start playback from the beginning of the loaded capture */
+  async connectPort() {
+    await this.disconnect();
+    if (!this.capture) throw new Error('No capture loaded');
+    this.port = this.captureName;
+    this._idx = 0;
+    this._mode = 'msp';
+    this._t0 = performance.now();
+    this._scheduleNext();
+  }
+
+  async connectNew() {
+    await this.connectPort();
+  }
+
+  async disconnect() {
+    if (!this.port) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.port = null;
+    // Fire onDisconnect like Serial's read loop does when its reader is cancelled
+    if (this.onDisconnect) this.onDisconnect();
+  }
+
+  /** Replay is receive-only — outgoing bytes are discarded */
+  async write() {}
+
+  /** Replays never reboot */
+  waitForPort() {
+    return Promise.resolve(false);
+  }
+
+  cancelWaitForPort() {}
+
+  /** Internal: dispatch every event that is due, then wait for the next one */
+  _scheduleNext() {
+    this._timer = null;
+    const events = this.capture.events;
+    const now = (performance.now() - this._t0) * this.speed;
+    while (this._idx < events.length && events[this._idx].t <= now) {
+      this._dispatch(events[this._idx++]);
+      if (!this.port) return;  // disconnected from a handler
+    }
+    if (this._idx >= events.length) {
+      if (this.onFinished) this.onFinished();
+      return;
+    }
+    const delay = (events[this._idx].t - now) / this.speed;
+    this._timer = setTimeout(() => this._scheduleNext(), Math.max(0, delay));
+  }
+
+  _dispatch(ev) {
+    if (ev.mode !== this._mode) {
+      this._mode = ev.mode;
+      if (this.onModeChange) this.onModeChange(ev.mode);
+    }
+    if (ev.dir === 'rx' && this.onReceive) this.onReceive(ev.data);
+  }
+}
+
+function toBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function fromBase64(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
@@ -4,6 +4,7 @@
  *
  * Manages transitions between MSP (binary telemetry) and CLI (text command) modes.
  * Protocol: send '#' to enter CLI, send 'exit\r\n' to reboot FC (BF/INAV pattern).
+ * runCommand() queues CLI commands and resolves with each one's reply text.
  */
 
 import { sleep } from './util.js';
@@ -17,12 +18,31 @@ let onTextReceive = null;
 /** Callback when FC sends "Rebooting" (Phase 11: auto-reconnect) */
 let onRebootDetected = null;
 
+/** Callback for transcript entries (completed runCommand calls, unsolicited text) */
+let onTranscript = null;
+
 /** Text decoder for incoming bytes */
 const decoder = new TextDecoder();
 
 /** Text encoder for outgoing commands */
 const encoder = new TextEncoder();
 
+/** Transport used by runCommand (the one CLI mode was entered on) */
+let cliSerial = null;
+
+/** runCommand queue: the command awaiting its prompt, and those behind it */
+let activeRun = null;
+const runQueue = [];
+
+/** Prompt = "# " alone at the start of the last line */
+const PROMPT_AT_END = /(?:^|\n)# $/;
+
+/** A prompt must be followed by this much silence ("# " lines also occur inside output) */
+const PROMPT_SETTLE_MS = 50;
+
+/** Firmware error replies — the first matching line becomes the command's error */
+const ERROR_LINE = /^(?:ERROR\b|###ERROR|Unknown command|Invalid\b)/i;
+
 /** Banner validation state */
 let bannerResolve = null;
 let bannerTimer = null;
@@ -55,7 +75,128 @@ export function cliParse(data) {
   if (onRebootDetected && text.includes('Rebooting')) {
     onRebootDetected();
   }
-  if (onTextReceive) onTextReceive(text);
+  const run = activeRun;
+  if (run) feedRun(run, text);
+  else if (onTranscript) onTranscript({ kind: 'text', time: new Date(), text });
+  if (onTextReceive && !run?.silent) onTextReceive(text);
+}
+
+/**
+ * Run a CLI command and collect its reply. Commands are queued and sent one at
+ * a time; each completes when the FC prints its prompt again.
+ * @param {string} cmd - Command text (without line ending)
+ * @param {{timeoutMs?: number, silent?: boolean, source?: string}} opts - silent
+ *   keeps the reply out of the terminal output (setCliReceiver callback); source
+ *   names the feature that issued the command in the transcript (default: typed)
+ * @returns {Promise<{output: string, error: string|null}>} output without the
+ *   echoed command or trailing prompt; error is the firmware's error line, or
+ *   a description of why no reply was received. Never rejects.
+ */
+export function runCommand(cmd, { timeoutMs = 3000, silent = false, source = '' } = {}) {
+  return new Promise(resolve => {
+    runQueue.push({ cmd, timeoutMs, silent, source, resolve, buffer: '', timer: null, settleTimer: null, sentAt: null });
+    if (!activeRun) startNextRun();
+  });
+}
+
+async function startNextRun() {
+  const run = runQueue.shift();
+  activeRun = run || null;
+  if (!run) return;
+  if (!inCliMode || !cliSerial) {
+    finishRun(run, 'CLI not active');
+    return;
+  }
+  run.timer = setTimeout(() => finishRun(run, `No prompt after '${run.cmd}' (timeout)`), run.timeoutMs);
+  run.sentAt = new Date();
+  try {
+    await cliSerial.write(encoder.encode(run.cmd + '\r\n'));
+  } catch {
+    finishRun(run, 'Port closed');
+  }
+}
+
+function feedRun(run, text) {
+  run.buffer += text;
+  clearTimeout(run.settleTimer);
+  if (PROMPT_AT_END.test(run.buffer.replace(/\r/g, ''))) {
+    run.settleTimer = setTimeout(() => finishRun(run, null), PROMPT_SETTLE_MS);
+  }
+}
+
+function finishRun(run, failure) {
+  if (activeRun !== run) return;
+  clearTimeout(run.timer);
+  clearTimeout(run.settleTimer);
+  activeRun = null;
+  const { output, error } = parseReply(run.cmd, run.buffer);
+  run.resolve({ output, error: failure || error });
+  if (onTranscript && run.sentAt) {
+    onTranscript({
+      kind: 'command', time: run.sentAt, source: run.source, command: run.cmd,
+      output, error: failure || error, ms: Date.now() - run.sentAt.getTime(),
+    });
+  }
+  startNextRun();
+}
+
+/** Split a raw reply into output (echo and prompt removed) and firmware error line */
+function parseReply(cmd, raw) {
+  const lines = raw.replace(/\r/g, '').split('\n');
+  if (lines.length && /^#\s*$/.test(lines[lines.length - 1])) lines.pop();
+  const first = lines.findIndex(l => l.trim() !== '');
+  if (first >= 0 && lines[first].trim().endsWith(cmd.trim())) lines.splice(0, first + 1);
+  while (lines.length && lines[0].trim() === '') lines.shift();
+  while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+  const error = lines.find(l => ERROR_LINE.test(l.trim())) || null;
+  return { output: lines.join('\n'), error: error && error.trim() };
+}
+
+/**
+ * Parse enriched `set` output: "name = value [min:max] {group}"
+ * `decimals` is how many the firmware prints — 0 means an integer parameter.
+ * @param {string} text - runCommand('set') output
+ * @returns {Map<string, {value: string, min: number, max: number, group: string, decimals: number}>}
+ */
+export function parseSetOutput(text) {
+  const params = new Map();
+  for (const line of text.split('\n')) {
+    const m = line.match(/^(\S+)\s*=\s*(\S+)\s*\[([^:]+):([^\]]+)\]\s*\{([^}]+)\}/);
+    if (m) {
+      params.set(m[1], {
+        value: m[2],
+        min: parseFloat(m[3]),
+        max: parseFloat(m[4]),
+        group: m[5].trim(),
+        decimals: (m[2].split('.')[1] || '').length,
+      });
+    }
+  }
+  return params;
+}
+
+/**
+ * Parse `help` output: one command per line, name first, separated from its
+ * description by two or more spaces or " - " (headings like "Commands:" are skipped).
+ * @param {string} text - runCommand('help') output
+ * @returns {Array<{name: string, description: string}>}
+ */
+export function parseHelpOutput(text) {
+  const commands = [];
+  for (const line of text.split('\n')) {
+    const m = line.match(/^\s*([a-z_][\w-]*)(?:\s{2,}|\s+[-:]\s+|\s*$)(.*)$/i);
+    if (m) commands.push({ name: m[1], description: m[2].trim() });
+  }
+  return commands;
+}
+
+/** Resolve the active and queued commands without a reply */
+function cancelRuns(reason) {
+  const queued = runQueue.splice(0);
+  if (activeRun) finishRun(activeRun, reason);
+  for (const run of queued) {
+    run.resolve({ output: '', error: reason });
+  }
 }
 
 /**
@@ -66,6 +207,16 @@ export function setCliReceiver(cb) {
   onTextReceive = cb;
 }
 
+/**
+ * Set callback for the session transcript.
+ * @param {function(object)} cb - Called with { kind: 'command', time, source,
+ *   command, output, error, ms } after each runCommand, and { kind: 'text',
+ *   time, text } for CLI text that arrives outside a command (banner, reboot)
+ */
+export function setTranscriptCallback(cb) {
+  onTranscript = cb;
+}
+
 /**
  * Set callback for FC reboot detection (fired when "Rebooting" appears in CLI output).
  * @param {function} cb - Called once when reboot is detected
@@ -88,6 +239,7 @@ export async function enterCli(serial, switchToCli, switchToMsp) {
   await sleep(150);
 
   inCliMode = true;
+  cliSerial = serial;
   switchToCli();
   try {
     await serial.write(new Uint8Array([0x23]));  // '#'
@@ -113,6 +265,7 @@ export async function enterCli(serial, switchToCli, switchToMsp) {
  */
 export async function exitCli(serial, switchReceiver) {
   if (!inCliMode) return;
+  cancelRuns('CLI closed');
   await sendCommand(serial, 'exit');
   await sleep(200);
   inCliMode = false;
@@ -132,9 +285,20 @@ export async function sendCommand(serial, cmd) {
   }
 }
 
+/**
+ * Force CLI mode state without the '#' handshake (session replay, where the
+ * banner is already part of the recorded stream).
+ * @param {boolean} active - true to accept CLI text, false to ignore it
+ */
+export function setCliMode(active) {
+  inCliMode = active;
+}
+
 /** Reset CLI state (e.g. on disconnect) */
 export function cliReset() {
   inCliMode = false;
+  cliSerial = null;
+  cancelRuns('CLI closed');
   if (bannerResolve) {
     clearTimeout(bannerTimer);
     bannerResolve(false);
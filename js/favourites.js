@@ -0,0 +1,45 @@
+/**
+ * @file favourites.js
+ * @brief Starred settings parameters, one set per board
+ *
+ * Stored in localStorage under the board name from MSP_BOARD_INFO, like the
+ * CLI history, so each FC keeps the handful of parameters its owner tunes.
+ */
+
+const KEY_PREFIX = 'drehm-favourites:';
+
+export class Favourites {
+  constructor() {
+    this.board = null;
+    this.names = new Set();
+  }
+
+  /** Switch to a board's favourites (no-op if already loaded) */
+  load(board) {
+    const key = board || 'unknown';
+    if (key === this.board) return;
+    this.board = key;
+    try {
+      const list = JSON.parse(localStorage.getItem(KEY_PREFIX + key));
+      this.names = new Set(Array.isArray(list) ? list.filter(n => typeof n === 'string') : []);
+    } catch {
+      this.names = new Set();
+    }
+  }
+
+  has(name) {
+    return this.names.has(name);
+  }
+
+  /** Star or unstar a parameter; returns the new state */
+  toggle(name) {
+    if (this.names.has(name)) this.names.delete(name);
+    else this.names.add(name);
+    this._store();
+    return this.names.has(name);
+  }
+
+  _store() {
+    try { localStorage.setItem(KEY_PREFIX + this.board, JSON.stringify([...this.names])); } catch {}
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * @file history.js
+ * @brief Persistent CLI command history, one list per board
+ *
+ * Entries are stored oldest first in localStorage under the board name from
+ * MSP_BOARD_INFO. Re-running a command moves it to the end instead of adding
+ * a duplicate; beyond the cap the oldest unpinned entries are dropped, so
+ * pinned commands survive however much else is typed.
+ */
+
+const KEY_PREFIX = 'drehm-cli-history:';
+const MAX_ENTRIES = 200;
+
+export class CommandHistory {
+  constructor() {
+    this.board = null;
+    this.entries = [];  // { cmd, pinned }, oldest first
+  }
+
+  /** Switch to a board's history (no-op if already loaded) */
+  load(board) {
+    const key = board || 'unknown';
+    if (key === this.board) return;
+    this.board = key;
+    try {
+      const list = JSON.parse(localStorage.getItem(KEY_PREFIX + key));
+      this.entries = Array.isArray(list) ? list.filter(e => typeof e?.cmd === 'string') : [];
+    } catch {
+      this.entries = [];
+    }
+  }
+
+  /** Record a command; an existing entry moves to the end and keeps its pin */
+  add(cmd) {
+    const existing = this.entries.find(e => e.cmd === cmd);
+    this.entries = this.entries.filter(e => e !== existing);
+    this.entries.push({ cmd, pinned: existing?.pinned || false });
+    let excess = this.entries.length - MAX_ENTRIES;
+    this.entries = this.entries.filter(e => e.pinned || excess-- <= 0);
+    this._store();
+  }
+
+  togglePin(cmd) {
+    const entry = this.entries.find(e => e.cmd === cmd);
+    if (!entry) return;
+    entry.pinned = !entry.pinned;
+    this._store();
+  }
+
+  /**
+   * Reverse search: newest entry before index `before` containing query.
+   * @returns {number} Entry index, or -1
+   */
+  search(query, before = this.entries.length) {
+    const q = query.toLowerCase();
+    for (let i = Math.min(before, this.entries.length) - 1; i >= 0; i--) {
+      if (this.entries[i].cmd.toLowerCase().includes(q)) return i;
+    }
+    return -1;
+  }
+
+  _store() {
+    try { localStorage.setItem(KEY_PREFIX + this.board, JSON.stringify(this.entries)); } catch {}
+  }
+}
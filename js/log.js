@@ -27,6 +27,12 @@ export function initLog() {
   }
 }
 
+/** All log lines currently held by the panel, oldest first */
+export function logText() {
+  if (!logContent) return '';
+  return Array.from(logContent.children, div => div.textContent).join('\n');
+}
+
 /** Append a timestamped message to the log panel */
 export function log(msg) {
   const line = `${timestamp()} -- ${msg}`;
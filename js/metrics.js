@@ -0,0 +1,156 @@
+/**
+ * @file metrics.js
+ * @brief Link metrics — round-trip times, request success, frame and byte rates
+ *
+ * Fed from MspParser.onFrame/onTimeout and the transport byte taps. Counts are
+ * aggregated into one-second buckets so the status bar can show rates over a
+ * short window plus a sparkline of recent round-trip times; report() renders
+ * session totals as text for the log export, so links (USB vs. radio bridge)
+ * can be compared objectively.
+ */
+
+import { mspCommandName } from './msp.js';
+
+/** Seconds of history kept for the sparkline */
+const HISTORY_SECONDS = 60;
+
+/** Seconds averaged for the status bar rates */
+const RATE_WINDOW = 5;
+
+function emptyBucket() {
+  return {
+    rxFrames: 0,
+    checksumErrors: 0,
+    rxBytes: 0,
+    txBytes: 0,
+    answered: 0,      // requests that got a reply (including '!' refusals)
+    timeouts: 0,      // requests that failed after all retries
+    rttSum: 0,
+    rttCount: 0,
+  };
+}
+
+export class LinkMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  /** Start a new measurement (per connection) */
+  reset() {
+    this.started = performance.now();
+    this.history = [];          // closed one-second buckets, oldest first
+    this.current = emptyBucket();
+    this.totals = emptyBucket();
+    this.commands = new Map();  // cmd → { answered, timeouts, rejected, rttSum, rttMin, rttMax }
+  }
+
+  /** MspParser.onFrame tap */
+  onFrame(frame) {
+    if (frame.dir !== 'rx') return;
+    if (frame.error === 'checksum') {
+      this._add('checksumErrors', 1);
+      return;
+    }
+    this._add('rxFrames', 1);
+    if (frame.rtt === undefined) return;  // unsolicited frame, no request to time
+
+    const c = this._command(frame.cmd);
+    c.answered++;
+    if (frame.error === 'rejected') c.rejected++;
+    c.rttSum += frame.rtt;
+    c.rttMin = Math.min(c.rttMin, frame.rtt);
+    c.rttMax = Math.max(c.rttMax, frame.rtt);
+    this._add('answered', 1);
+    this._add('rttSum', frame.rtt);
+    this._add('rttCount', 1);
+  }
+
+  /** MspParser.onTimeout tap — request failed after all retries */
+  onTimeout(cmd) {
+    this._command(cmd).timeouts++;
+    this._add('timeouts', 1);
+  }
+
+  /** Transport byte taps */
+  addBytes(dir, count) {
+    this._add(dir === 'rx' ? 'rxBytes' : 'txBytes', count);
+  }
+
+  /** Close the current bucket — call once per second */
+  tick() {
+    this.history.push(this.current);
+    if (this.history.length > HISTORY_SECONDS) this.history.shift();
+    this.current = emptyBucket();
+  }
+
+  /**
+   * Rates over the last few seconds.
+   * @returns {{rtt, successPct, fps, checksumPct, rxBps, txBps}} rtt/successPct are null without requests
+   */
+  summary() {
+    const recent = this.history.slice(-RATE_WINDOW);
+    const secs = recent.length || 1;
+    const sum = (key) => recent.reduce((acc, b) => acc + b[key], 0);
+    const answered = sum('answered');
+    const timeouts = sum('timeouts');
+    const frames = sum('rxFrames');
+    const bad = sum('checksumErrors');
+    return {
+      rtt: sum('rttCount') ? sum('rttSum') / sum('rttCount') : null,
+      successPct: answered + timeouts ? 100 * answered / (answered + timeouts) : null,
+      fps: frames / secs,
+      checksumPct: frames + bad ? 100 * bad / (frames + bad) : 0,
+      rxBps: sum('rxBytes') / secs,
+      txBps: sum('txBytes') / secs,
+    };
+  }
+
+  /** Mean round-trip time per second, oldest first (null = no replies that second) */
+  rttHistory() {
+    return this.history.map(b => b.rttCount ? b.rttSum / b.rttCount : null);
+  }
+
+  /**
+   * Session totals and per-command round-trip times as plain text.
+   * @param {string} linkName - Transport description for the heading
+   * @returns {string}
+   */
+  report(linkName = '') {
+    const t = this.totals;
+    const secs = Math.max(1, (performance.now() - this.started) / 1000);
+    const requests = t.answered + t.timeouts;
+    const frames = t.rxFrames + t.checksumErrors;
+    const lines = [
+      `Link metrics${linkName ? ' — ' + linkName : ''} (${secs.toFixed(0)} s)`,
+      `Requests: ${t.answered} answered, ${t.timeouts} timed out` +
+        (requests ? ` (${(100 * t.answered / requests).toFixed(1)}% success)` : ''),
+      `Frames RX: ${t.rxFrames} (${(t.rxFrames / secs).toFixed(1)} fps), checksum errors: ${t.checksumErrors}` +
+        (frames ? ` (${(100 * t.checksumErrors / frames).toFixed(2)}%)` : ''),
+      `Bytes: RX ${t.rxBytes} (${(t.rxBytes / secs).toFixed(0)} B/s), TX ${t.txBytes} (${(t.txBytes / secs).toFixed(0)} B/s)`,
+      '',
+      'Command          Answered  Timeouts  Refused  RTT avg / min / max (ms)',
+    ];
+    for (const [cmd, c] of [...this.commands].sort((a, b) => a[0] - b[0])) {
+      const rtt = c.answered
+        ? `${(c.rttSum / c.answered).toFixed(1)} / ${c.rttMin.toFixed(1)} / ${c.rttMax.toFixed(1)}`
+        : '--';
+      lines.push(mspCommandName(cmd).padEnd(17) + String(c.answered).padStart(8) +
+        String(c.timeouts).padStart(10) + String(c.rejected).padStart(9) + '  ' + rtt);
+    }
+    return lines.join('\n');
+  }
+
+  _add(key, n) {
+    this.current[key] += n;
+    this.totals[key] += n;
+  }
+
+  _command(cmd) {
+    let c = this.commands.get(cmd);
+    if (!c) {
+      c = { answered: 0, timeouts: 0, rejected: 0, rttSum: 0, rttMin: Infinity, rttMax: 0 };
+      this.commands.set(cmd, c);
+    }
+    return c;
+  }
+}
@@ -1,9 +1,15 @@
 /**
  * @file msp.js
- * @brief MSP V1 encoder/decoder for dRehmFlight PWA Configurator
+ * @brief MSP V1/V2 encoder/decoder for dRehmFlight PWA Configurator
  *
- * Encodes MSP V1 request frames and parses V1 response frames.
- * Dispatches decoded messages via onMessage callback.
+ * Encodes MSP V1 and V2 request frames (with optional payload) and parses V1
+ * (including jumbo) and V2 response and error frames. Dispatches decoded
+ * messages via onMessage callback. MspParser.request() queues requests and
+ * resolves with the response payload.
+ *
+ * MSP_SCHEMA describes each command's payload fields; mspDecode/mspEncodePayload
+ * and the CSV helpers are generated from it, so a new firmware message is one
+ * table entry.
  */
 
 // MSP V1 command codes (must match msp.h)
@@ -17,31 +23,299 @@ export const MSP = {
   RC:          105,
   ATTITUDE:    108,
   ANALOG:      110,
+
+  // Write / action commands — reply with an empty payload, or an error frame
+  REBOOT:          68,
+  SET_RAW_RC:      200,
+  ACC_CALIBRATION: 205,
+  MAG_CALIBRATION: 206,
+  RESET_CONF:      208,
+  EEPROM_WRITE:    250,
+};
+
+/**
+ * Payload layouts in wire order. Field: { name, type, scale?, unit?, decimals?, format?, length?, repeat? }
+ *   type     'u8' | 'u16' | 's16' | 'u32' | 'str' (fixed `length`) | 'pstr' (u8 length prefix)
+ *   scale    wire value = value × scale (10 → tenths on the wire)
+ *   repeat   field repeats until the payload ends → array (last field only)
+ *   decimals / format ('hex' | 'sensors') — display hints for the inspector
+ * Commands with an empty list carry no payload (write acks).
+ */
+export const MSP_SCHEMA = {
+  [MSP.API_VERSION]: [
+    { name: 'protocol', type: 'u8' },
+    { name: 'apiMajor', type: 'u8' },
+    { name: 'apiMinor', type: 'u8' },
+  ],
+  [MSP.FC_VARIANT]: [
+    { name: 'variant', type: 'str', length: 4 },
+  ],
+  [MSP.FC_VERSION]: [
+    { name: 'major', type: 'u8' },
+    { name: 'minor', type: 'u8' },
+    { name: 'patch', type: 'u8' },
+  ],
+  [MSP.BOARD_INFO]: [
+    { name: 'boardId', type: 'str', length: 4 },
+    { name: 'hardwareRevision', type: 'u16' },
+    { name: 'boardType', type: 'u8' },
+    { name: 'targetCapabilities', type: 'u8' },
+    { name: 'boardName', type: 'pstr' },
+  ],
+  [MSP.STATUS]: [
+    { name: 'cycleTime', type: 'u16', unit: 'µs' },
+    { name: 'cpuLoad', type: 'u16', unit: '%' },
+    { name: 'sensors', type: 'u16', format: 'sensors' },
+    { name: 'flags', type: 'u32', format: 'hex' },
+    { name: 'profile', type: 'u8' },
+  ],
+  [MSP.RAW_IMU]: [
+    { name: 'accX', type: 's16', scale: 512, unit: 'g', decimals: 2 },
+    { name: 'accY', type: 's16', scale: 512, unit: 'g', decimals: 2 },
+    { name: 'accZ', type: 's16', scale: 512, unit: 'g', decimals: 2 },
+    { name: 'gyroX', type: 's16', unit: '°/s' },
+    { name: 'gyroY', type: 's16', unit: '°/s' },
+    { name: 'gyroZ', type: 's16', unit: '°/s' },
+    { name: 'magX', type: 's16' },
+    { name: 'magY', type: 's16' },
+    { name: 'magZ', type: 's16' },
+  ],
+  [MSP.RC]: [
+    { name: 'ch', type: 'u16', unit: 'µs', repeat: true },
+  ],
+  [MSP.ATTITUDE]: [
+    { name: 'roll', type: 's16', scale: 10, unit: '°', decimals: 1 },
+    { name: 'pitch', type: 's16', scale: 10, unit: '°', decimals: 1 },
+    { name: 'yaw', type: 's16', unit: '°' },
+  ],
+  [MSP.ANALOG]: [
+    { name: 'vbat', type: 'u8', scale: 10, unit: 'V', decimals: 1 },
+    { name: 'mAhDrawn', type: 'u16', unit: 'mAh' },
+    { name: 'rssi', type: 'u16' },
+    { name: 'amperage', type: 's16', scale: 100, unit: 'A', decimals: 2 },
+  ],
+  [MSP.SET_RAW_RC]: [
+    { name: 'ch', type: 'u16', unit: 'µs', repeat: true },
+  ],
+  [MSP.REBOOT]: [],
+  [MSP.ACC_CALIBRATION]: [],
+  [MSP.MAG_CALIBRATION]: [],
+  [MSP.RESET_CONF]: [],
+  [MSP.EEPROM_WRITE]: [],
+};
+
+/** Numeric field types: wire size, range, reader/writer */
+const FIELD_TYPES = {
+  u8:  { size: 1, min: 0, max: 0xFF, read: readU8, write: writeU8 },
+  u16: { size: 2, min: 0, max: 0xFFFF, read: readU16, write: writeU16 },
+  s16: { size: 2, min: -0x8000, max: 0x7FFF, read: readS16, write: writeS16 },
+  u32: { size: 4, min: 0, max: 0xFFFFFFFF, read: (p, o) => readU32(p, o) >>> 0, write: writeU32 },
 };
 
+/**
+ * Decode a payload with its schema. Fields past the end of a short payload
+ * (older firmware) read as 0 / '' / [] like the original byte readers did;
+ * their names are listed in the non-enumerable `missing` property.
+ * @param {number} cmd - MSP command code
+ * @param {Uint8Array} payload - Frame payload
+ * @returns {object|null} Field values by name (scaled), or null if cmd has no schema
+ */
+export function mspDecode(cmd, payload) {
+  const fields = MSP_SCHEMA[cmd];
+  if (!fields) return null;
+  const data = {};
+  const missing = [];
+  let offset = 0;
+  for (const f of fields) {
+    if (f.type === 'str' || f.type === 'pstr') {
+      let len = f.length;
+      if (f.type === 'pstr') {
+        if (offset >= payload.length) len = -1;  // no length byte
+        else len = payload[offset++];
+      }
+      if (len < 0 || offset + len > payload.length) {
+        data[f.name] = '';
+        missing.push(f.name);
+        offset = payload.length;
+        continue;
+      }
+      data[f.name] = String.fromCharCode(...payload.slice(offset, offset + len));
+      offset += len;
+      continue;
+    }
+    const t = FIELD_TYPES[f.type];
+    const scale = f.scale || 1;
+    if (f.repeat) {
+      const items = [];
+      for (; offset + t.size <= payload.length; offset += t.size) items.push(t.read(payload, offset) / scale);
+      data[f.name] = items;
+      continue;
+    }
+    if (offset + t.size > payload.length) {
+      data[f.name] = 0;
+      missing.push(f.name);
+      offset = payload.length;
+      continue;
+    }
+    data[f.name] = t.read(payload, offset) / scale;
+    offset += t.size;
+  }
+  Object.defineProperty(data, 'missing', { value: missing });
+  return data;
+}
+
+/**
+ * Encode field values with a command's schema (inverse of mspDecode).
+ * Missing numbers encode as 0; values are scaled, rounded and clamped to the type.
+ * @param {number} cmd - MSP command code
+ * @param {object} values - Field values by name
+ * @returns {Uint8Array} Payload for MspParser.request()
+ */
+export function mspEncodePayload(cmd, values = {}) {
+  const fields = MSP_SCHEMA[cmd];
+  if (!fields) throw new Error(`No MSP schema for ${mspCommandName(cmd)}`);
+  const bytes = [];
+  for (const f of fields) {
+    const v = values[f.name];
+    if (f.type === 'str' || f.type === 'pstr') {
+      let text = String(v ?? '');
+      text = f.type === 'str' ? text.padEnd(f.length, '\0').slice(0, f.length) : text.slice(0, 255);
+      if (f.type === 'pstr') bytes.push(text.length);
+      for (const ch of text) bytes.push(ch.charCodeAt(0) & 0xFF);
+      continue;
+    }
+    const t = FIELD_TYPES[f.type];
+    for (const item of f.repeat ? (v || []) : [v ?? 0]) {
+      const raw = Math.max(t.min, Math.min(t.max, Math.round(item * (f.scale || 1))));
+      t.write(bytes, bytes.length, raw);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * CSV column headers for a command: "name [unit]", arrays expanded to name1..nameN.
+ * @param {number} cmd - MSP command code
+ * @param {object} sample - One decoded payload (sizes repeated fields)
+ * @returns {string[]}
+ */
+export function mspCsvHeader(cmd, sample = {}) {
+  const header = [];
+  for (const f of MSP_SCHEMA[cmd] || []) {
+    const unit = f.unit ? ` [${f.unit}]` : '';
+    if (f.repeat) {
+      const n = (sample[f.name] || []).length;
+      for (let i = 1; i <= n; i++) header.push(`${f.name}${i}${unit}`);
+    } else {
+      header.push(f.name + unit);
+    }
+  }
+  return header;
+}
+
+/** CSV cells for one decoded payload, in mspCsvHeader() order */
+export function mspCsvRow(cmd, data, sample = data) {
+  const row = [];
+  for (const f of MSP_SCHEMA[cmd] || []) {
+    if (f.repeat) {
+      const n = (sample[f.name] || []).length;
+      for (let i = 0; i < n; i++) row.push(data[f.name]?.[i] ?? '');
+    } else {
+      row.push(data[f.name] ?? '');
+    }
+  }
+  return row;
+}
+
+/** Command name for a code (reverse MSP lookup), e.g. 101 → 'STATUS' */
+export function mspCommandName(cmd) {
+  for (const [name, code] of Object.entries(MSP)) {
+    if (code === cmd) return name;
+  }
+  return `CMD_${cmd}`;
+}
+
+/** API version from which the firmware accepts MSP V2 ($X) framing */
+export const MSP_V2_MIN_API = { major: 2, minor: 0 };
+
+/** V1 length byte that announces a 16-bit jumbo length after the command */
+const JUMBO_FRAME_SIZE = 255;
+
+/** Rejection reason for MspParser.request() */
+export class MspError extends Error {
+  /**
+   * @param {number} cmd - MSP command code
+   * @param {string} reason - 'timeout' | 'cancelled' | 'busy' | 'send' | 'unsupported' | 'rejected'
+   */
+  constructor(cmd, reason) {
+    super(`MSP ${mspCommandName(cmd)}: ${reason}`);
+    this.name = 'MspError';
+    this.cmd = cmd;
+    this.reason = reason;
+  }
+}
+
 // Parser states
-const S_IDLE     = 0;
-const S_HEADER_M = 1;
-const S_DIR      = 2;
-const S_LEN      = 3;
-const S_CMD      = 4;
-const S_PAYLOAD  = 5;
-const S_CHECKSUM = 6;
+const S_IDLE         = 0;
+const S_PROTO        = 1;
+const S_DIR          = 2;
+const S_V1_LEN       = 3;
+const S_V1_CMD       = 4;
+const S_JUMBO_LEN_LO = 5;
+const S_JUMBO_LEN_HI = 6;
+const S_V2_FLAG      = 7;
+const S_V2_CMD_LO    = 8;
+const S_V2_CMD_HI    = 9;
+const S_V2_LEN_LO    = 10;
+const S_V2_LEN_HI    = 11;
+const S_PAYLOAD      = 12;
+const S_CHECKSUM     = 13;
 
 export class MspParser {
   constructor() {
     this.state = S_IDLE;
+    this.frameVersion = 1;
+    this.frameError = false;
     this.len = 0;
     this.cmd = 0;
     this.checksum = 0;
     this.payload = [];
     this.payloadIdx = 0;
-    this.pending = [];
+    this.queue = [];      // requests waiting for an in-flight slot
+    this.pending = [];    // requests sent, awaiting response
+    this.stats = null;
+    this.resetStats();
+
+    /** Request framing negotiated for this connection (1 or 2, see mspVersionForApi) */
+    this.version = 1;
 
-    /** Called with { cmd, payload: Uint8Array } on valid frame */
+    /** Request policy (defaults suit 115200 baud; adjust per transport if needed) */
+    this.maxInFlight = 4;
+    this.maxQueued = 32;
+    this.timeoutMs = 1000;
+    this.retries = 1;
+
+    /** Transport write: function(Uint8Array) → Promise, set per connection */
+    this.send = null;
+    /** Called with { cmd, payload: Uint8Array, data } on valid frame (data = mspDecode result or null) */
     this.onMessage = null;
-    /** Called with cmd code when request fails after retry */
+    /** Called with cmd code when request fails after all retries */
     this.onTimeout = null;
+    /** Debug tap: called with { dir: 'tx'|'rx', cmd, payload, rtt?, error? } for every frame */
+    this.onFrame = null;
+  }
+
+  /** Zero the frame/error counters (per connection) */
+  resetStats() {
+    this.stats = {
+      txFrames: 0,
+      rxFrames: 0,
+      checksumErrors: 0,
+      resyncs: 0,        // frame header abandoned mid-way
+      droppedBytes: 0,   // bytes outside any frame
+      timeouts: 0,
+      rejected: 0,       // '!' error responses
+    };
   }
 
   /** Feed raw bytes from serial into the parser */
@@ -51,109 +325,306 @@ export class MspParser {
     }
   }
 
-  /** Reset parser state and cancel pending requests */
+  /** Reset parser state and cancel queued/pending requests (rejected as 'cancelled') */
   reset() {
     this.state = S_IDLE;
-    for (const p of this.pending) clearTimeout(p.timer);
+    const dropped = [...this.pending, ...this.queue];
     this.pending = [];
+    this.queue = [];
+    for (const entry of dropped) {
+      clearTimeout(entry.timer);
+      entry.reject(new MspError(entry.cmd, 'cancelled'));
+    }
   }
 
-  /** Track an outgoing request for timeout/retry */
-  trackRequest(cmd, sendFn) {
-    const entry = {
-      cmd, retried: false, sendFn,
-      timer: setTimeout(() => this._onTimeout(entry), 1000),
-    };
-    this.pending.push(entry);
+  /**
+   * Queue an MSP request and wait for its response.
+   * @param {number} cmd - MSP command code
+   * @param {Uint8Array|number[]} payload - Request payload (default empty)
+   * @param {{timeoutMs?: number, retries?: number}} opts - Per-request policy overrides
+   * @returns {Promise<Uint8Array>} Response payload; rejects with MspError
+   */
+  request(cmd, payload = [], opts = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.queue.length >= this.maxQueued) {
+        reject(new MspError(cmd, 'busy'));
+        return;
+      }
+      this.queue.push({
+        cmd, payload, resolve, reject,
+        timeoutMs: opts.timeoutMs ?? this.timeoutMs,
+        retries: opts.retries ?? this.retries,
+        attempts: 0, sentAt: 0, timer: null,
+      });
+      this._pump();
+    });
   }
 
-  /** Remove oldest pending entry for cmd (called on valid response) */
-  _resolveRequest(cmd) {
-    const idx = this.pending.findIndex(p => p.cmd === cmd);
-    if (idx >= 0) {
-      clearTimeout(this.pending[idx].timer);
-      this.pending.splice(idx, 1);
+  /** Move queued requests into flight while slots are free */
+  _pump() {
+    while (this.pending.length < this.maxInFlight && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      this.pending.push(entry);
+      this._transmit(entry);
+    }
+  }
+
+  _transmit(entry) {
+    let frame;
+    try {
+      frame = this._encode(entry.cmd, entry.payload);
+    } catch {
+      this._fail(entry, 'unsupported');
+      return;
+    }
+    entry.attempts++;
+    entry.sentAt = performance.now();
+    entry.timer = setTimeout(() => this._onTimeout(entry), entry.timeoutMs);
+    this.stats.txFrames++;
+    if (this.onFrame) {
+      this.onFrame({ dir: 'tx', cmd: entry.cmd, payload: Uint8Array.from(entry.payload), version: this.version });
+    }
+    if (!this.send) {
+      this._fail(entry, 'send');
+      return;
     }
+    this.send(frame).catch(() => this._fail(entry, 'send'));
   }
 
-  /** Handle request timeout — retry once, then notify */
+  /** Encode with the negotiated framing (V2 also for codes beyond V1's 8 bits) */
+  _encode(cmd, payload) {
+    if (this.version === 2 || cmd > 255) return mspV2Encode(cmd, payload);
+    return mspEncode(cmd, payload);
+  }
+
+  /** Settle oldest pending request for cmd (called on valid response or error frame).
+   *  @returns {number|undefined} round-trip time in ms if a request was pending */
+  _resolveRequest(cmd, payload, rejected = false) {
+    const idx = this.pending.findIndex(p => p.cmd === cmd);
+    if (idx < 0) return undefined;
+    const entry = this.pending[idx];
+    clearTimeout(entry.timer);
+    this.pending.splice(idx, 1);
+    if (rejected) entry.reject(new MspError(cmd, 'rejected'));
+    else entry.resolve(payload);
+    this._pump();
+    return performance.now() - entry.sentAt;
+  }
+
+  /** Handle request timeout — retransmit while retries remain, then reject */
   _onTimeout(entry) {
-    const idx = this.pending.indexOf(entry);
-    if (idx < 0) return;
-    if (!entry.retried) {
-      entry.retried = true;
-      entry.timer = setTimeout(() => this._onTimeout(entry), 1000);
-      entry.sendFn();
+    if (!this.pending.includes(entry)) return;
+    if (entry.attempts <= entry.retries) {
+      this._transmit(entry);
     } else {
-      this.pending.splice(idx, 1);
+      this.stats.timeouts++;
       if (this.onTimeout) this.onTimeout(entry.cmd);
+      this._fail(entry, 'timeout');
     }
   }
 
+  _fail(entry, reason) {
+    const idx = this.pending.indexOf(entry);
+    if (idx < 0) return;
+    clearTimeout(entry.timer);
+    this.pending.splice(idx, 1);
+    entry.reject(new MspError(entry.cmd, reason));
+    this._pump();
+  }
+
   _processByte(c) {
     switch (this.state) {
       case S_IDLE:
-        if (c === 0x24) this.state = S_HEADER_M;  // '$'
+        if (c === 0x24) this.state = S_PROTO;  // '$'
+        else this.stats.droppedBytes++;
         break;
 
-      case S_HEADER_M:
-        this.state = (c === 0x4D) ? S_DIR : S_IDLE;  // 'M'
+      case S_PROTO:
+        if (c === 0x4D || c === 0x58) {  // 'M' (V1) or 'X' (V2)
+          this.frameVersion = (c === 0x58) ? 2 : 1;
+          this.state = S_DIR;
+        } else {
+          this.state = S_IDLE;
+          this.stats.resyncs++;
+        }
         break;
 
       case S_DIR:
-        if (c === 0x3E) {  // '>' response
-          this.state = S_LEN;
+        if (c === 0x3E || c === 0x21) {  // '>' response or '!' error (unknown/invalid command)
+          this.frameError = (c === 0x21);
+          this.state = (this.frameVersion === 2) ? S_V2_FLAG : S_V1_LEN;
         } else {
           this.state = S_IDLE;
+          this.stats.resyncs++;
         }
         break;
 
-      case S_LEN:
+      // --- V1: len, cmd [, jumbo len16], payload, XOR checksum ---
+
+      case S_V1_LEN:
         this.len = c;
         this.checksum = c;
-        this.payload = new Uint8Array(c);
-        this.payloadIdx = 0;
-        this.state = S_CMD;
+        this.state = S_V1_CMD;
         break;
 
-      case S_CMD:
+      case S_V1_CMD:
         this.cmd = c;
         this.checksum ^= c;
-        this.state = (this.len > 0) ? S_PAYLOAD : S_CHECKSUM;
+        if (this.len === JUMBO_FRAME_SIZE) {
+          this.state = S_JUMBO_LEN_LO;
+        } else {
+          this._startPayload();
+        }
+        break;
+
+      case S_JUMBO_LEN_LO:
+        this.len = c;
+        this.checksum ^= c;
+        this.state = S_JUMBO_LEN_HI;
+        break;
+
+      case S_JUMBO_LEN_HI:
+        this.len |= c << 8;
+        this.checksum ^= c;
+        this._startPayload();
+        break;
+
+      // --- V2: flag, cmd16, len16, payload, CRC8 DVB-S2 ---
+
+      case S_V2_FLAG:
+        this.checksum = crc8DvbS2(0, c);
+        this.state = S_V2_CMD_LO;
+        break;
+
+      case S_V2_CMD_LO:
+        this.cmd = c;
+        this.checksum = crc8DvbS2(this.checksum, c);
+        this.state = S_V2_CMD_HI;
+        break;
+
+      case S_V2_CMD_HI:
+        this.cmd |= c << 8;
+        this.checksum = crc8DvbS2(this.checksum, c);
+        this.state = S_V2_LEN_LO;
         break;
 
+      case S_V2_LEN_LO:
+        this.len = c;
+        this.checksum = crc8DvbS2(this.checksum, c);
+        this.state = S_V2_LEN_HI;
+        break;
+
+      case S_V2_LEN_HI:
+        this.len |= c << 8;
+        this.checksum = crc8DvbS2(this.checksum, c);
+        this._startPayload();
+        break;
+
+      // --- Common ---
+
       case S_PAYLOAD:
         this.payload[this.payloadIdx++] = c;
-        this.checksum ^= c;
+        this.checksum = (this.frameVersion === 2) ? crc8DvbS2(this.checksum, c) : this.checksum ^ c;
         if (this.payloadIdx >= this.len) this.state = S_CHECKSUM;
         break;
 
       case S_CHECKSUM:
         this.state = S_IDLE;
-        if ((this.checksum & 0xFF) === c) {
-          this._resolveRequest(this.cmd);
+        if ((this.checksum & 0xFF) === c && this.frameError) {
+          // Error frame: settle the request but don't dispatch to onMessage
+          const rtt = this._resolveRequest(this.cmd, this.payload, true);
+          this.stats.rxFrames++;
+          this.stats.rejected++;
+          if (this.onFrame) {
+            this.onFrame({ dir: 'rx', cmd: this.cmd, payload: this.payload, version: this.frameVersion, rtt, error: 'rejected' });
+          }
+        } else if ((this.checksum & 0xFF) === c) {
+          const rtt = this._resolveRequest(this.cmd, this.payload);
+          this.stats.rxFrames++;
+          if (this.onFrame) {
+            this.onFrame({ dir: 'rx', cmd: this.cmd, payload: this.payload, version: this.frameVersion, rtt });
+          }
           if (this.onMessage) {
             try {
-              this.onMessage({ cmd: this.cmd, payload: this.payload });
+              this.onMessage({ cmd: this.cmd, payload: this.payload, data: mspDecode(this.cmd, this.payload) });
             } catch (e) {
               console.error('MSP handler error:', e);
             }
           }
+        } else {
+          this.stats.checksumErrors++;
+          if (this.onFrame) {
+            this.onFrame({ dir: 'rx', cmd: this.cmd, payload: this.payload, version: this.frameVersion, error: 'checksum' });
+          }
         }
         break;
     }
   }
+
+  _startPayload() {
+    this.payload = new Uint8Array(this.len);
+    this.payloadIdx = 0;
+    this.state = (this.len > 0) ? S_PAYLOAD : S_CHECKSUM;
+  }
 }
 
 /**
- * Build an MSP V1 request frame.
- * @param {number} cmd - MSP command code
+ * Build an MSP V1 request frame ($M<, XOR checksum).
+ * Payloads of 255 bytes or more use jumbo framing (length 255 + 16-bit size).
+ * @param {number} cmd - MSP command code (0-255)
+ * @param {Uint8Array|number[]} payload - Request payload (default empty)
+ * @returns {Uint8Array} Complete frame ready to send
+ */
+export function mspEncode(cmd, payload = []) {
+  const len = payload.length;
+  if (len > 0xFFFF) throw new RangeError(`MSP payload too long (${len} bytes)`);
+  const header = len >= JUMBO_FRAME_SIZE
+    ? [JUMBO_FRAME_SIZE, cmd & 0xFF, len & 0xFF, len >> 8]
+    : [len, cmd & 0xFF];
+  const frame = new Uint8Array(3 + header.length + len + 1);
+  frame.set([0x24, 0x4D, 0x3C, ...header]);
+  frame.set(payload, 3 + header.length);
+  let checksum = 0;
+  for (let i = 3; i < frame.length - 1; i++) checksum ^= frame[i];
+  frame[frame.length - 1] = checksum;
+  return frame;
+}
+
+/**
+ * Build an MSP V2 request frame ($X<, 16-bit command and length, CRC8 DVB-S2).
+ * @param {number} cmd - MSP command code (0-65535)
+ * @param {Uint8Array|number[]} payload - Request payload (default empty)
  * @returns {Uint8Array} Complete frame ready to send
  */
-export function mspEncode(cmd) {
-  // $M< + len(0) + cmd + checksum
-  const checksum = (0 ^ cmd) & 0xFF;
-  return new Uint8Array([0x24, 0x4D, 0x3C, 0x00, cmd, checksum]);
+export function mspV2Encode(cmd, payload = []) {
+  const len = payload.length;
+  if (len > 0xFFFF) throw new RangeError(`MSP payload too long (${len} bytes)`);
+  const frame = new Uint8Array(len + 9);
+  frame.set([0x24, 0x58, 0x3C, 0, cmd & 0xFF, (cmd >> 8) & 0xFF, len & 0xFF, (len >> 8) & 0xFF]);
+  frame.set(payload, 8);
+  let crc = 0;
+  for (let i = 3; i < len + 8; i++) crc = crc8DvbS2(crc, frame[i]);
+  frame[len + 8] = crc;
+  return frame;
+}
+
+/**
+ * Pick request framing for a connection from its MSP_API_VERSION reply.
+ * Boards below MSP_V2_MIN_API (or that never answer) stay on V1.
+ * @returns {number} 1 or 2
+ */
+export function mspVersionForApi(apiMajor, apiMinor) {
+  const { major, minor } = MSP_V2_MIN_API;
+  return (apiMajor > major || (apiMajor === major && apiMinor >= minor)) ? 2 : 1;
+}
+
+/** CRC8 DVB-S2 (poly 0xD5) step, as used by MSP V2 */
+export function crc8DvbS2(crc, byte) {
+  crc ^= byte;
+  for (let i = 0; i < 8; i++) {
+    crc = (crc & 0x80) ? ((crc << 1) ^ 0xD5) & 0xFF : (crc << 1) & 0xFF;
+  }
+  return crc;
 }
 
 // Payload data view helpers
@@ -174,3 +645,28 @@ export function readU32(payload, offset) {
   return payload[offset] | (payload[offset + 1] << 8) |
          (payload[offset + 2] << 16) | (payload[offset + 3] << 24);
 }
+
+// Payload writers (inverse of the readers): store little-endian, return the next offset
+export function writeU8(payload, offset, value) {
+  payload[offset] = value & 0xFF;
+  return offset + 1;
+}
+
+export function writeU16(payload, offset, value) {
+  payload[offset] = value & 0xFF;
+  payload[offset + 1] = (value >> 8) & 0xFF;
+  return offset + 2;
+}
+
+/** Negative values are stored two's complement, so this is writeU16 */
+export function writeS16(payload, offset, value) {
+  return writeU16(payload, offset, value);
+}
+
+export function writeU32(payload, offset, value) {
+  payload[offset] = value & 0xFF;
+  payload[offset + 1] = (value >> 8) & 0xFF;
+  payload[offset + 2] = (value >> 16) & 0xFF;
+  payload[offset + 3] = (value >>> 24) & 0xFF;
+  return offset + 4;
+}
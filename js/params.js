@@ -0,0 +1,65 @@
+/**
+ * @file params.js
+ * @brief Parameter kinds and range checks for the settings form
+ *
+ * The enriched `set` listing carries a range but no type, so the type is
+ * inferred from how the firmware prints the value: no decimals means an
+ * integer. An integer range of 0..1 is shown as a toggle, a short integer
+ * range as a select, any other bounded range as slider + number field.
+ * validateParam() is what Save checks before anything is sent.
+ */
+
+/** Integer ranges up to this many values become a select */
+const MAX_SELECT_OPTIONS = 8;
+
+/** Plain decimal notation, as the firmware's parser reads it (no hex, no Infinity) */
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/** true if the firmware prints the parameter without decimals */
+export function isInteger(meta) {
+  return meta?.decimals === 0;
+}
+
+/**
+ * Widget for a parameter.
+ * @param {{min, max, decimals}|undefined} meta - paramMeta entry (undefined if the FC didn't list it)
+ * @returns {'toggle'|'select'|'slider'|'number'}
+ */
+export function paramKind(meta) {
+  if (!meta || !isFinite(meta.min) || !isFinite(meta.max) || meta.max <= meta.min) return 'number';
+  if (isInteger(meta) && Number.isInteger(meta.min) && Number.isInteger(meta.max)) {
+    if (meta.min === 0 && meta.max === 1) return 'toggle';
+    if (meta.max - meta.min < MAX_SELECT_OPTIONS) return 'select';
+  }
+  return 'slider';
+}
+
+/** Slider / spinner step: 1 for integers, otherwise the printed precision */
+export function paramStep(meta) {
+  if (isInteger(meta)) return '1';
+  return meta?.decimals ? (10 ** -meta.decimals).toFixed(meta.decimals) : 'any';
+}
+
+/** Format a number the way the firmware prints it, so dirty tracking compares like with like */
+export function formatParam(value, meta) {
+  const num = Number(value);
+  if (!meta || isNaN(num)) return String(value);
+  return num.toFixed(meta.decimals);
+}
+
+/**
+ * Check a form value against the firmware's type and range.
+ * @param {string} value - Form value
+ * @param {{min, max, decimals}|undefined} meta - Unknown parameters are only checked for being a number
+ * @returns {string} Why the value can't be saved, or '' if it can
+ */
+export function validateParam(value, meta) {
+  const text = String(value).trim();
+  if (text === '') return 'no value';
+  if (!NUMBER.test(text)) return `"${text}" is not a number`;
+  const num = Number(text);
+  if (!meta) return '';
+  if (isInteger(meta) && !Number.isInteger(num)) return 'must be a whole number';
+  if (num < meta.min || num > meta.max) return `outside the range ${meta.min} to ${meta.max}`;
+  return '';
+}
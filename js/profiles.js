@@ -0,0 +1,95 @@
+/**
+ * @file profiles.js
+ * @brief Named settings profiles stored in IndexedDB
+ *
+ * A profile is a snapshot of the settings form (parameter name → value) with
+ * the board name, firmware version and creation time it was taken from, so
+ * tunes can be kept, compared and re-applied without juggling .ini files.
+ */
+
+const DB_NAME = 'drehm-configurator';
+const DB_VERSION = 1;
+const STORE = 'profiles';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });  // retry on the next call
+  }
+  return dbPromise;
+}
+
+/** Run one request in a transaction; resolves with its result once committed */
+async function withStore(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Profile storage transaction aborted'));
+  });
+}
+
+/**
+ * All profiles, newest first.
+ * @returns {Promise<Array<{id, name, board, firmware, created, params}>>}
+ */
+export async function listProfiles() {
+  const list = await withStore('readonly', store => store.getAll());
+  return list.sort((a, b) => b.created.localeCompare(a.created));
+}
+
+export function getProfile(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * Store a new profile.
+ * @param {{name: string, board: string, firmware: string, params: Object<string, string>}} profile
+ * @returns {Promise<number>} New profile id
+ */
+export function saveProfile({ name, board, firmware, params }) {
+  const created = new Date().toISOString();
+  return withStore('readwrite', store => store.add({ name, board, firmware, created, params }));
+}
+
+export async function renameProfile(id, name) {
+  const profile = await getProfile(id);
+  if (!profile) throw new Error('Profile no longer exists');
+  profile.name = name;
+  await withStore('readwrite', store => store.put(profile));
+}
+
+export function deleteProfile(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Side-by-side rows for two profiles (a's parameter order, then b's extras).
+ * @returns {Array<{name, a: string|undefined, b: string|undefined, same: boolean}>}
+ */
+export function compareProfiles(a, b) {
+  const names = [...new Set([...Object.keys(a.params), ...Object.keys(b.params)])];
+  return names.map(name => {
+    const va = a.params[name];
+    const vb = b.params[name];
+    const same = va !== undefined && vb !== undefined && parseFloat(va) === parseFloat(vb);
+    return { name, a: va, b: vb, same: same || va === vb };
+  });
+}
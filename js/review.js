@@ -0,0 +1,167 @@
+/**
+ * @file review.js
+ * @brief Change review dialog — accept or reject each parameter before it applies
+ *
+ * Shown before an .ini import and a save: one row per changed parameter with
+ * the FC's current value, the incoming value and the firmware range.
+ * Parameters the firmware doesn't expose are highlighted and can't be
+ * accepted; incoming values outside the range are flagged. confirmAction()
+ * uses the same overlay for steps that can't be reviewed per parameter
+ * (loading defaults, restoring a backup from another board).
+ */
+
+/**
+ * Show the dialog and wait for the user's choice.
+ * @param {object} opts
+ * @param {string} opts.title - Heading, e.g. "Import tune.ini"
+ * @param {string} opts.action - Confirm button label
+ * @param {string} opts.incomingLabel - Header of the incoming column (file, defaults, form)
+ * @param {Array<{name, current, incoming, min, max, unknown}>} opts.rows
+ * @returns {Promise<Set<string>|null>} Accepted parameter names, or null if cancelled
+ */
+export function reviewChanges({ title, action, incomingLabel = 'Incoming', rows }) {
+  const { box, heading, cancel, confirm } = createBox(title);
+
+  const summary = document.createElement('div');
+  summary.className = 'review-summary';
+
+  const table = document.createElement('table');
+  table.className = 'review-table';
+  const head = table.createTHead().insertRow();
+  const all = document.createElement('input');
+  all.type = 'checkbox';
+  all.title = 'Accept all';
+  head.appendChild(document.createElement('th')).appendChild(all);
+  for (const text of ['Parameter', 'FC value', incomingLabel, 'Range']) {
+    head.appendChild(document.createElement('th')).textContent = text;
+  }
+
+  const body = table.createTBody();
+  const boxes = [];
+  for (const row of rows) {
+    const tr = body.insertRow();
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = !row.unknown;
+    check.disabled = row.unknown;
+    check.dataset.param = row.name;
+    tr.insertCell().appendChild(check);
+    boxes.push(check);
+
+    tr.insertCell().textContent = row.name;
+    tr.insertCell().textContent = row.current ?? '';
+    const incoming = tr.insertCell();
+    incoming.textContent = row.incoming;
+    tr.insertCell().textContent = row.unknown ? 'not exposed by firmware' : formatRange(row.min, row.max);
+
+    if (row.unknown) {
+      tr.className = 'unknown';
+      tr.title = 'The firmware does not have this parameter — it cannot be applied';
+    } else if (outOfRange(row.incoming, row.min, row.max)) {
+      incoming.className = 'out-of-range';
+      incoming.title = 'Outside the firmware range — the FC will clamp or reject it';
+    }
+  }
+
+  const wrap = document.createElement('div');
+  wrap.className = 'review-table-wrap';
+  wrap.appendChild(table);
+  heading.after(summary, wrap);
+
+  const enabled = boxes.filter(b => !b.disabled);
+  const update = () => {
+    const accepted = enabled.filter(b => b.checked).length;
+    const unknown = boxes.length - enabled.length;
+    summary.textContent = `${accepted} of ${enabled.length} changes selected` +
+      (unknown ? ` · ${unknown} unknown to the firmware` : '');
+    all.checked = accepted === enabled.length && accepted > 0;
+    all.indeterminate = accepted > 0 && accepted < enabled.length;
+    confirm.textContent = `${action} (${accepted})`;
+    confirm.disabled = accepted === 0;
+  };
+  all.addEventListener('change', () => {
+    for (const b of enabled) b.checked = all.checked;
+    update();
+  });
+  for (const b of enabled) b.addEventListener('change', update);
+  update();
+
+  return showBox(box, cancel, confirm, () => new Set(enabled.filter(b => b.checked).map(b => b.dataset.param)));
+}
+
+/**
+ * Ask before a step that changes the FC and can't be reviewed per parameter.
+ * @param {object} opts
+ * @param {string} opts.title - Heading
+ * @param {string[]} opts.lines - Explanation, one paragraph each
+ * @param {string} opts.action - Confirm button label
+ * @returns {Promise<boolean>} true if confirmed
+ */
+export async function confirmAction({ title, lines, action }) {
+  const { box, heading, cancel, confirm } = createBox(title);
+  confirm.textContent = action;
+  heading.after(...lines.map(text => {
+    const p = document.createElement('p');
+    p.className = 'review-text';
+    p.textContent = text;
+    return p;
+  }));
+  return (await showBox(box, cancel, confirm, () => true)) === true;
+}
+
+/** Dialog box with a heading and Cancel / confirm buttons (confirm label set by the caller) */
+function createBox(title) {
+  const box = document.createElement('div');
+  box.className = 'review-box';
+
+  const heading = document.createElement('div');
+  heading.className = 'review-title';
+  heading.textContent = title;
+
+  const buttons = document.createElement('div');
+  buttons.className = 'review-buttons';
+  const cancel = document.createElement('button');
+  cancel.className = 'btn-settings';
+  cancel.textContent = 'Cancel';
+  const confirm = document.createElement('button');
+  confirm.className = 'btn-settings btn-save';
+  buttons.append(cancel, confirm);
+
+  box.append(heading, buttons);
+  return { box, heading, cancel, confirm };
+}
+
+/**
+ * Open the overlay and wait: confirm resolves with result(), Cancel / Escape with null.
+ */
+function showBox(box, cancel, confirm, result) {
+  const overlay = document.getElementById('review-dialog');
+  overlay.innerHTML = '';
+  overlay.appendChild(box);
+  overlay.classList.remove('hidden');
+  confirm.focus();
+
+  return new Promise(resolve => {
+    const close = (value) => {
+      overlay.classList.add('hidden');
+      overlay.innerHTML = '';
+      document.removeEventListener('keydown', onKey);
+      resolve(value);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+    document.addEventListener('keydown', onKey);
+    cancel.addEventListener('click', () => close(null));
+    confirm.addEventListener('click', () => close(result()));
+  });
+}
+
+function formatRange(min, max) {
+  return min != null && max != null ? `${min} … ${max}` : '';
+}
+
+function outOfRange(value, min, max) {
+  const v = parseFloat(value);
+  return min != null && max != null && (isNaN(v) || v < min || v > max);
+}
@@ -0,0 +1,130 @@
+/**
+ * @file scheduler.js
+ * @brief MSP polling scheduler — per-subscriber command rates on a byte budget
+ *
+ * Subscribers (status bar, tabs) declare the commands they need and how often.
+ * The scheduler merges them (one request per command at the fastest requested
+ * rate), never re-sends a command whose previous request is still in flight,
+ * and meters request and reply bytes against the transport's byte rate so a
+ * fast sensor rate slows itself down instead of starving the status bar.
+ */
+
+/** Scheduler resolution */
+const TICK_MS = 10;
+
+/** Link rate used when the transport doesn't report one: 115200 baud, 8N1 */
+const DEFAULT_BYTE_RATE = 11520;
+
+/** Reply size assumed until a command has answered once (bytes incl. framing) */
+const DEFAULT_REPLY_BYTES = 32;
+
+/** Share of the link's byte rate that polling may use (leaves room for user actions) */
+const DEFAULT_BUDGET = 0.8;
+
+/** Byte credit may accumulate for this long (allows short bursts after idle) */
+const BURST_MS = 100;
+
+export class PollScheduler {
+  /**
+   * @param {MspParser} parser - Parser whose request() carries the polls
+   * @param {number} byteRate - Link throughput in bytes per second
+   */
+  constructor(parser, byteRate = DEFAULT_BYTE_RATE) {
+    this.parser = parser;
+    this.byteRate = byteRate;
+    this.budget = DEFAULT_BUDGET;
+    this.subscriptions = new Map();  // id → { cmd: intervalMs }
+    this.commands = new Map();       // cmd → { intervalMs, lastSent, inFlight, replyBytes }
+    this._timer = null;
+    this._credit = 0;
+    this._lastTick = 0;
+  }
+
+  /** Use the connected transport's byte rate (its byteRate property; default if it has none) */
+  setByteRate(rate) {
+    this.byteRate = rate > 0 && isFinite(rate) ? rate : DEFAULT_BYTE_RATE;
+  }
+
+  /**
+   * Set (replace) a subscriber's polls. An empty object removes it.
+   * @param {string} id - Subscriber name
+   * @param {Object<number, number>} polls - MSP command → interval in ms
+   */
+  set(id, polls) {
+    if (polls && Object.keys(polls).length > 0) this.subscriptions.set(id, polls);
+    else this.subscriptions.delete(id);
+    this._merge();
+  }
+
+  /** Start issuing requests (subscriptions are kept across stop/start) */
+  start() {
+    if (this._timer) return;
+    this._credit = 0;
+    this._lastTick = performance.now();
+    this._timer = setInterval(() => this._tick(), TICK_MS);
+  }
+
+  /** Stop issuing requests; in-flight ones settle through the parser */
+  stop() {
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /** Internal: one entry per command at the fastest interval any subscriber wants */
+  _merge() {
+    const wanted = new Map();
+    for (const polls of this.subscriptions.values()) {
+      for (const [key, ms] of Object.entries(polls)) {
+        const cmd = Number(key);
+        wanted.set(cmd, Math.min(ms, wanted.get(cmd) ?? Infinity));
+      }
+    }
+    for (const cmd of this.commands.keys()) {
+      if (!wanted.has(cmd)) this.commands.delete(cmd);
+    }
+    for (const [cmd, intervalMs] of wanted) {
+      const entry = this.commands.get(cmd);
+      if (entry) entry.intervalMs = intervalMs;
+      else this.commands.set(cmd, { intervalMs, lastSent: 0, inFlight: false, replyBytes: DEFAULT_REPLY_BYTES });
+    }
+  }
+
+  /**
+   * Internal: send due commands, earliest deadline first, while byte credit lasts.
+   * A command that can't keep its rate stays "due since lastSent + interval",
+   * so slower polls are served as soon as their own deadline passes.
+   */
+  _tick() {
+    const now = performance.now();
+    const bytesPerMs = this.byteRate / 1000 * this.budget;
+    this._credit = Math.min(bytesPerMs * BURST_MS, this._credit + (now - this._lastTick) * bytesPerMs);
+    this._lastTick = now;
+
+    const due = [];
+    for (const [cmd, entry] of this.commands) {
+      const deadline = entry.lastSent + entry.intervalMs;
+      if (!entry.inFlight && deadline <= now) due.push({ cmd, entry, deadline });
+    }
+    due.sort((a, b) => a.deadline - b.deadline);
+
+    // A poll costs its request frame (no payload) plus the reply
+    const requestBytes = this._frameBytes(0);
+    for (const { cmd, entry } of due) {
+      if (this._credit < requestBytes + entry.replyBytes) break;
+      this._credit -= requestBytes + entry.replyBytes;
+      entry.lastSent = now;
+      entry.inFlight = true;
+      // Responses reach the tabs through parser.onMessage; only bookkeeping here
+      this.parser.request(cmd)
+        .then(payload => { entry.replyBytes = this._frameBytes(payload.length); })
+        .catch(() => {})
+        .finally(() => { entry.inFlight = false; });
+    }
+  }
+
+  /** Internal: frame size on the wire for a payload length (V1 or V2 framing) */
+  _frameBytes(payloadLength) {
+    return payloadLength + (this.parser.version === 2 ? 9 : 6);
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * @file script.js
+ * @brief CLI script runner — multi-line command files and saved macros
+ *
+ * A script is plain text with one CLI command per line; lines starting with
+ * '#' or ';' are comments. Each command goes through runCommand, so it waits
+ * for the prompt (and is checked for a firmware error) before the next one is
+ * sent. Named macros — scripts kept for reuse — are stored in localStorage.
+ */
+
+import { runCommand } from './cli.js';
+
+const MACROS_KEY = 'drehm-cli-macros';
+
+/** Per-command timeout (a script line may be a long `dump`) */
+const LINE_TIMEOUT_MS = 10000;
+
+/** Commands a script may not run — 'exit' reboots the FC out of CLI mode */
+const BLOCKED = new Set(['exit']);
+
+/**
+ * Split script text into lines (blank lines dropped).
+ * @param {string} text - Script file or pasted block
+ * @returns {Array<{lineNo: number, text: string, command: boolean}>} command false = comment
+ */
+export function parseScript(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (line) lines.push({ lineNo: i + 1, text: line, command: !/^[#;]/.test(line) });
+  });
+  return lines;
+}
+
+/**
+ * Run a parsed script line by line.
+ * @param {Array} lines - parseScript() result
+ * @param {object} opts
+ * @param {boolean} opts.stopOnError - Skip the remaining lines after a failed command
+ * @param {function(number, string, string)} opts.onStatus - (index, 'running'|'ok'|'error'|'skipped', detail)
+ * @param {function(): boolean} opts.isCancelled - Polled before each command (Stop button)
+ * @returns {Promise<{ok: number, error: number, skipped: number}>}
+ */
+export async function runScript(lines, { stopOnError = true, onStatus = () => {}, isCancelled = () => false } = {}) {
+  const counts = { ok: 0, error: 0, skipped: 0 };
+  let stopReason = '';
+
+  for (const [i, line] of lines.entries()) {
+    if (!stopReason && line.command && isCancelled()) stopReason = 'stopped';
+    let status = 'skipped';
+    let detail = stopReason;
+
+    if (!stopReason && !line.command) {
+      detail = 'comment';
+    } else if (!stopReason && BLOCKED.has(line.text.split(/\s+/)[0].toLowerCase())) {
+      detail = 'not allowed in scripts';
+    } else if (!stopReason) {
+      onStatus(i, 'running', '');
+      const { output, error } = await runCommand(line.text, { timeoutMs: LINE_TIMEOUT_MS, source: 'Script' });
+      if (error) {
+        status = 'error';
+        detail = error;
+        if (stopOnError) stopReason = `stopped after error on line ${line.lineNo}`;
+      } else {
+        status = 'ok';
+        detail = output.split('\n').pop();  // last reply line, e.g. "x set to 1"
+      }
+    }
+    counts[status]++;
+    onStatus(i, status, detail);
+  }
+  return counts;
+}
+
+/** Saved macros, sorted by name */
+export function loadMacros() {
+  try {
+    const list = JSON.parse(localStorage.getItem(MACROS_KEY));
+    return Array.isArray(list) ? list.sort((a, b) => a.name.localeCompare(b.name)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Save (or replace) a named macro */
+export function saveMacro(name, text) {
+  storeMacros([...loadMacros().filter(m => m.name !== name), { name, text }]);
+}
+
+export function deleteMacro(name) {
+  storeMacros(loadMacros().filter(m => m.name !== name));
+}
+
+function storeMacros(list) {
+  try { localStorage.setItem(MACROS_KEY, JSON.stringify(list)); } catch {}
+}
@@ -36,7 +36,10 @@ export class Serial {
     this.port = null;
     this.reader = null;
     this.writer = null;
+    this.linkName = 'Serial port';
+    this.byteRate = 11520;      // bytes/s at the opened baud rate (8N1: 10 bits per byte)
     this.onReceive = null;      // callback(Uint8Array)
+    this.onWrite = null;        // callback(Uint8Array) — outgoing bytes (session capture)
     this.onDisconnect = null;
     this.onPortsChanged = null; // callback() — port list changed
     this._cancelWait = null;    // cancellation fn for waitForPort
@@ -93,6 +96,7 @@ export class Serial {
     await this.disconnect();
     this.port = port;
     await this.port.open({ baudRate });
+    this.byteRate = baudRate / 10;
     this.writer = this.port.writable.getWriter();
     this._startReadLoop(this.port.readable);
   }
@@ -102,6 +106,7 @@ export class Serial {
     await this.disconnect();
     this.port = await navigator.serial.requestPort();
     await this.port.open({ baudRate });
+    this.byteRate = baudRate / 10;
     this.writer = this.port.writable.getWriter();
     this._startReadLoop(this.port.readable);
   }
@@ -126,6 +131,7 @@ export class Serial {
   async write(data) {
     if (!this.writer) return;
     const buf = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (this.onWrite) this.onWrite(buf);
     await this.writer.write(buf);
   }
 
@@ -0,0 +1,249 @@
+/**
+ * @file tabs/inspector.js
+ * @brief Inspector tab — decoded log of every MSP frame sent and received
+ *
+ * Fed from MspParser.onFrame. Keeps a bounded frame log (collected in any tab,
+ * rendered only while the Inspector is visible) with per-command filtering,
+ * round-trip times and the parser's checksum/resync counters. Payloads are
+ * decoded from MSP_SCHEMA; CSV export uses the schema's column headers.
+ */
+
+import { MSP, MSP_SCHEMA, mspCommandName, mspDecode, mspCsvHeader, mspCsvRow } from '../msp.js';
+import { setText, sensorString, downloadText, fileTimestamp } from '../util.js';
+
+const MAX_ENTRIES = 500;
+
+/** Frame log: { t, dir, cmd, payload, rtt, error } */
+let entries = [];
+let pendingRows = [];
+let renderQueued = false;
+let t0 = performance.now();
+let parser = null;
+let initialized = false;
+
+let rowsEl = null;
+let filterEl = null;
+let pauseEl = null;
+
+/** Polls (command → interval ms) — a mix of telemetry to watch while shown */
+export function inspectorPolls(active) {
+  if (!active) return {};
+  return { [MSP.ATTITUDE]: 250, [MSP.ANALOG]: 250, [MSP.RC]: 250, [MSP.RAW_IMU]: 250 };
+}
+
+/**
+ * Reset the log for a new connection.
+ * @param {MspParser} parserRef - Parser whose stats counters are displayed
+ */
+export function resetInspector(parserRef) {
+  parser = parserRef;
+  entries = [];
+  pendingRows = [];
+  t0 = performance.now();
+  initDom();
+  if (rowsEl) rowsEl.innerHTML = '';
+  updateCounters();
+}
+
+/** Record one frame (MspParser.onFrame callback) */
+export function inspectFrame(frame) {
+  const entry = { t: performance.now() - t0, ...frame };
+  entries.push(entry);
+  if (entries.length > MAX_ENTRIES) entries.shift();
+  addFilterOption(frame.cmd);
+
+  if (!isVisible() || pauseEl?.checked) return;
+  if (matchesFilter(entry)) pendingRows.push(entry);
+  queueRender();
+}
+
+/** Called when the Inspector tab is shown — render the collected log */
+export function onInspectorActivate() {
+  initDom();
+  renderAll();
+}
+
+// --- DOM ---
+
+function initDom() {
+  if (initialized) return;
+  rowsEl = document.getElementById('inspector-rows');
+  filterEl = document.getElementById('inspector-filter');
+  pauseEl = document.getElementById('inspector-pause');
+  if (!rowsEl || !filterEl) return;
+  initialized = true;
+
+  for (const code of Object.values(MSP)) addFilterOption(code);
+  filterEl.addEventListener('change', renderAll);
+  pauseEl.addEventListener('change', () => { if (!pauseEl.checked) renderAll(); });
+  document.getElementById('btn-inspector-export').addEventListener('click', exportCsv);
+  document.getElementById('btn-inspector-clear').addEventListener('click', () => {
+    entries = [];
+    if (parser) parser.resetStats();
+    renderAll();
+  });
+}
+
+function isVisible() {
+  return document.getElementById('tab-inspector')?.classList.contains('active');
+}
+
+function matchesFilter(entry) {
+  return !filterEl || !filterEl.value || parseInt(filterEl.value) === entry.cmd;
+}
+
+function addFilterOption(cmd) {
+  if (!filterEl || filterEl.querySelector(`option[value="${cmd}"]`)) return;
+  const opt = document.createElement('option');
+  opt.value = String(cmd);
+  opt.textContent = `${mspCommandName(cmd)} (${cmd})`;
+  filterEl.appendChild(opt);
+}
+
+function renderAll() {
+  if (!rowsEl) return;
+  pendingRows = [];
+  rowsEl.innerHTML = '';
+  const frag = document.createDocumentFragment();
+  for (const entry of entries) {
+    if (matchesFilter(entry)) frag.appendChild(createRow(entry));
+  }
+  rowsEl.appendChild(frag);
+  trimRows();
+  updateCounters();
+  scrollToEnd();
+}
+
+/** Batch DOM appends to one per animation frame */
+function queueRender() {
+  if (renderQueued) return;
+  renderQueued = true;
+  requestAnimationFrame(() => {
+    renderQueued = false;
+    if (!rowsEl) return;
+    const atEnd = isScrolledToEnd();
+    const frag = document.createDocumentFragment();
+    for (const entry of pendingRows) frag.appendChild(createRow(entry));
+    pendingRows = [];
+    rowsEl.appendChild(frag);
+    trimRows();
+    updateCounters();
+    if (atEnd) scrollToEnd();
+  });
+}
+
+function trimRows() {
+  while (rowsEl.children.length > MAX_ENTRIES) rowsEl.removeChild(rowsEl.firstChild);
+}
+
+function createRow(entry) {
+  const tr = document.createElement('tr');
+  tr.className = entry.dir + (entry.error ? ' error' : '');
+  const cells = [
+    (entry.t / 1000).toFixed(3),
+    entry.dir === 'tx' ? '→ TX' : '← RX',
+    `${mspCommandName(entry.cmd)} (${entry.cmd})` + (entry.version === 2 ? ' v2' : ''),
+    entry.payload.length,
+    hex(entry.payload),
+    decodeEntry(entry),
+    entry.rtt !== undefined ? entry.rtt.toFixed(1) : '',
+  ];
+  for (const text of cells) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+function decodeEntry(entry) {
+  if (entry.error === 'checksum') return 'checksum mismatch — frame dropped';
+  if (entry.error === 'rejected') return 'error response — command refused by FC';
+  if (entry.payload.length === 0) return entry.dir === 'tx' ? 'request' : 'ack';
+  const data = mspDecode(entry.cmd, entry.payload);
+  if (!data) return '';
+  const fields = MSP_SCHEMA[entry.cmd];
+  const parts = fields.filter(f => !data.missing.includes(f.name)).map(f => `${f.name}=${formatField(f, data[f.name])}`);
+  if (data.missing.length > 0) parts.push('(short payload)');
+  return parts.join(' ');
+}
+
+// --- CSV export ---
+
+/** Download the filtered log; with one command selected, one column per schema field */
+function exportCsv() {
+  const cmd = filterEl.value ? parseInt(filterEl.value) : null;
+  const rows = entries.filter(matchesFilter);
+  let table;
+
+  if (cmd !== null && MSP_SCHEMA[cmd]) {
+    const decoded = rows
+      .filter(e => !e.error && e.payload.length > 0)
+      .map(e => ({ e, data: mspDecode(cmd, e.payload) }));
+    // Size repeated fields (RC channels) to the longest payload seen
+    const sample = {};
+    for (const { data } of decoded) {
+      for (const [k, v] of Object.entries(data)) {
+        if (Array.isArray(v) && v.length > (sample[k]?.length || 0)) sample[k] = v;
+      }
+    }
+    table = [['time_s', 'dir', 'rtt_ms', ...mspCsvHeader(cmd, sample)]];
+    for (const { e, data } of decoded) {
+      table.push([(e.t / 1000).toFixed(3), e.dir, e.rtt?.toFixed(1) ?? '', ...mspCsvRow(cmd, data, sample)]);
+    }
+  } else {
+    table = [['time_s', 'dir', 'command', 'length', 'payload', 'decoded']];
+    for (const e of rows) {
+      table.push([(e.t / 1000).toFixed(3), e.dir, mspCommandName(e.cmd), e.payload.length, hex(e.payload), decodeEntry(e)]);
+    }
+  }
+
+  const name = cmd !== null ? mspCommandName(cmd).toLowerCase() : 'frames';
+  downloadText(`drehm-msp-${name}-${fileTimestamp()}.csv`, table.map(csvLine).join('\n') + '\n', 'text/csv');
+}
+
+function csvLine(cells) {
+  return cells.map(c => {
+    const s = String(c);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }).join(',');
+}
+
+function updateCounters() {
+  const s = parser?.stats;
+  if (!s) return;
+  setText('insp-tx', s.txFrames);
+  setText('insp-rx', s.rxFrames);
+  setText('insp-checksum', s.checksumErrors);
+  setText('insp-resyncs', s.resyncs);
+  setText('insp-dropped', s.droppedBytes);
+  setText('insp-timeouts', s.timeouts);
+  setText('insp-rejected', s.rejected);
+}
+
+function isScrolledToEnd() {
+  const wrap = rowsEl.closest('.inspector-log');
+  return !wrap || wrap.scrollTop + wrap.clientHeight >= wrap.scrollHeight - 20;
+}
+
+function scrollToEnd() {
+  const wrap = rowsEl.closest('.inspector-log');
+  if (wrap) wrap.scrollTop = wrap.scrollHeight;
+}
+
+// --- Formatting ---
+
+function hex(payload) {
+  return Array.from(payload, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+/** One decoded field for the "Decoded" column, using the schema's display hints */
+function formatField(f, value) {
+  const one = (v) => {
+    if (f.format === 'hex') return '0x' + v.toString(16);
+    if (f.format === 'sensors') return sensorString(v);
+    return f.decimals !== undefined ? v.toFixed(f.decimals) : String(v);
+  };
+  const text = Array.isArray(value) ? value.map(one).join(',') : one(value);
+  return text + (f.unit || '');
+}
@@ -3,18 +3,23 @@
  * @brief Receiver tab — 6 RC channel bars with live PWM values
  */
 
-import { MSP, readU16 } from '../msp.js';
+import { MSP } from '../msp.js';
 import { setText } from '../util.js';
 
 const PWM_MIN = 1000;
 const PWM_MAX = 2000;
 
+/** Polls (command → interval ms) — channel bars only matter while shown */
+export function receiverPolls(active) {
+  return active ? { [MSP.RC]: 250 } : {};
+}
+
 /** Handle incoming MSP_RC messages */
 export function handleReceiverMessage(msg) {
   if (msg.cmd !== MSP.RC) return;
 
   for (let i = 0; i < 6; i++) {
-    const pwm = readU16(msg.payload, i * 2);
+    const pwm = msg.data.ch[i] ?? 0;
     const pct = Math.max(0, Math.min(100, ((pwm - PWM_MIN) / (PWM_MAX - PWM_MIN)) * 100));
 
     setText(`rc-val-${i}`, pwm);
@@ -7,7 +7,7 @@
  * static numeric readouts. Ring buffers accumulate data in both modes.
  */
 
-import { MSP, readS16 } from '../msp.js';
+import { MSP } from '../msp.js';
 import { setText } from '../util.js';
 
 // --- Constants ---
@@ -18,6 +18,7 @@ const GRID_COLOR = 'rgba(255, 255, 255, 0.25)';
 const AXIS_COLOR = 'rgba(255, 255, 255, 0.3)';
 const LABEL_COLOR = 'rgba(255, 255, 255, 0.4)';
 const Y_MARGIN = 40;  // left margin for Y-axis labels
+const BACKGROUND_POLL_MS = 1000;  // ring buffers keep filling while another tab is shown
 
 // --- Sample counter (for scrolling grid) ---
 let sampleCount = 0;
@@ -43,14 +44,21 @@ const latest = {
 let graphMode = true;
 let initialized = false;
 
+/** Polls (command → interval ms): selected refresh rate while shown */
+export function sensorsPolls(active) {
+  const sel = document.getElementById('sensor-refresh');
+  return { [MSP.RAW_IMU]: active && sel ? parseInt(sel.value) : BACKGROUND_POLL_MS };
+}
+
 /** Handle incoming MSP_RAW_IMU messages */
 export function handleSensorsMessage(msg) {
   if (msg.cmd !== MSP.RAW_IMU) return;
 
-  // Parse values
-  const acc  = { x: readS16(msg.payload, 0) / 512, y: readS16(msg.payload, 2) / 512, z: readS16(msg.payload, 4) / 512 };
-  const gyro = { x: readS16(msg.payload, 6), y: readS16(msg.payload, 8), z: readS16(msg.payload, 10) };
-  const mag  = { x: readS16(msg.payload, 12), y: readS16(msg.payload, 14), z: readS16(msg.payload, 16) };
+  // Values arrive decoded (and scaled) via MSP_SCHEMA
+  const d = msg.data;
+  const acc  = { x: d.accX, y: d.accY, z: d.accZ };
+  const gyro = { x: d.gyroX, y: d.gyroY, z: d.gyroZ };
+  const mag  = { x: d.magX, y: d.magY, z: d.magZ };
 
   // Update numeric text (always, for Values view)
   setText('imu-acc-x', acc.x.toFixed(2));
@@ -3,19 +3,21 @@
  * @brief Status tab — armed state, cycle time, CPU load, attitude, analog
  */
 
-import { MSP, readU8, readU16, readS16, readU32 } from '../msp.js';
+import { MSP } from '../msp.js';
 import { setText, sensorString } from '../util.js';
 
-/** Handle incoming MSP messages for the Status tab */
+/** Polls (command → interval ms) while the tab is shown; battery keeps ticking in the background */
+export function statusPolls(active) {
+  return active ? { [MSP.ATTITUDE]: 250, [MSP.ANALOG]: 250 } : { [MSP.ANALOG]: 1000 };
+}
+
+/** Handle incoming MSP messages for the Status tab (fields decoded via MSP_SCHEMA) */
 export function handleStatusMessage(msg) {
   switch (msg.cmd) {
 
     case MSP.STATUS: {
-      const cycleTime = readU16(msg.payload, 0);
-      const cpuLoad   = readU16(msg.payload, 2);
-      const sensors   = readU16(msg.payload, 4);
-      const flags     = readU32(msg.payload, 6);
-      const armed     = (flags & 1) !== 0;
+      const { cycleTime, cpuLoad, sensors, flags } = msg.data;
+      const armed = (flags & 1) !== 0;
 
       setText('val-armed', armed ? 'YES' : 'NO');
       const el = document.getElementById('val-armed');
@@ -30,9 +32,7 @@ export function handleStatusMessage(msg) {
     }
 
     case MSP.ATTITUDE: {
-      const roll  = readS16(msg.payload, 0) / 10;
-      const pitch = readS16(msg.payload, 2) / 10;
-      const yaw   = readS16(msg.payload, 4);
+      const { roll, pitch, yaw } = msg.data;
 
       setText('val-roll', roll.toFixed(1) + '\u00B0');
       setText('val-pitch', pitch.toFixed(1) + '\u00B0');
@@ -41,10 +41,9 @@ export function handleStatusMessage(msg) {
     }
 
     case MSP.ANALOG: {
-      const vbat = readU8(msg.payload, 0);
-      const rssi = readU16(msg.payload, 3);
+      const { vbat, rssi } = msg.data;
 
-      setText('val-vbat', vbat > 0 ? (vbat / 10).toFixed(1) + ' V' : 'N/A');
+      setText('val-vbat', vbat > 0 ? vbat.toFixed(1) + ' V' : 'N/A');
       setText('val-rssi', rssi > 0 ? rssi : 'N/A');
       break;
     }
@@ -2,45 +2,98 @@
  * @file tabs/terminal.js
  * @brief Terminal tab — CLI terminal + structured settings form
  *
- * Terminal: scrollable output, text input, command history (up/down arrow).
- * Settings form: auto-loads params via `set` command, grouped number inputs,
- * dirty tracking, save-only-changed.
+ * Terminal: TerminalView output (termview.js), input with per-board history
+ * (history.js), Tab completion, scripts and macros (script.js) and transcript
+ * export (transcript.js).
+ * Settings form: loaded from `set`, typed widgets and range checks (params.js),
+ * search, favourites (favourites.js), undo/redo, a review dialog before any
+ * change is applied (review.js), save with read-back verification, profiles
+ * (profiles.js) and backup/restore (backup.js). Every command goes through
+ * cli.js runCommand.
  */
 
-import { sendCommand, setCliReceiver } from '../cli.js';
-import { sleep } from '../util.js';
+import { runCommand, setCliReceiver, setTranscriptCallback, parseSetOutput, parseHelpOutput } from '../cli.js';
+import { createBackup, serializeBackup, parseBackup, backupMismatch, restoreBackup } from '../backup.js';
+import { TerminalView, SCROLLBACK_OPTIONS, DEFAULT_SCROLLBACK } from '../termview.js';
+import { parseScript, runScript, loadMacros, saveMacro, deleteMacro } from '../script.js';
+import { CommandHistory } from '../history.js';
+import { Favourites } from '../favourites.js';
+import { CliTranscript } from '../transcript.js';
+import { listProfiles, getProfile, saveProfile, renameProfile, deleteProfile, compareProfiles } from '../profiles.js';
+import { reviewChanges, confirmAction } from '../review.js';
+import { paramKind, paramStep, formatParam, validateParam } from '../params.js';
+import { downloadText, fileTimestamp } from '../util.js';
 
-/** Param metadata from firmware: name → { min, max, group } */
+/** localStorage key for the chosen scrollback limit */
+const SCROLLBACK_KEY = 'drehm-term-scrollback';
+
+/** Param metadata from firmware: name → { min, max, group, decimals } */
 const paramMeta = new Map();
 
-/** Command history */
-const history = [];
+/** Command history (persisted per board) and arrow-key recall position */
+const history = new CommandHistory();
 let historyIdx = -1;
 
+/** Ctrl+R reverse search: null, or { query, idx, saved } (saved = input before searching) */
+let reverseSearch = null;
+
+/** Every command and reply of the current connection (Transcript export) */
+const transcript = new CliTranscript();
+
+/** Commands learned from the firmware's `help` output: name → description */
+const commands = new Map();
+let helpRequested = false;
+
+/** Completion dropdown: candidates replace input text from completeStart to the cursor */
+const MAX_CANDIDATES = 12;
+let candidates = [];
+let candidateIdx = -1;
+let completeStart = 0;
+
 /** DOM refs (cached on init) */
-let termOutput = null;
+let termView = null;
 let termInput = null;
+let promptEl = null;
+let completeEl = null;
 let settingsForm = null;
 let btnSave = null;
-let serial = null;
+let getIdentity = () => ({});
 let initialized = false;
 
-/** Capture state for settings load */
-let captureBuffer = '';
-let capturing = false;
-let captureTimer = null;
+/** true while Load/Save/Defaults/Import/Backup/Restore is running (buttons, undo and profile apply ignore clicks; the form is disabled) */
+let settingsBusy = false;
+
+/** Typed commands may stream long output (dump, diff) */
+const TYPED_TIMEOUT_MS = 10000;
+
+/** Starred parameters (persisted per board) */
+const favourites = new Favourites();
+
+/** Settings form layout: rows in table order, firmware groups and the Favourites group */
+let formRows = [];
+const groupEls = new Map();  // group name → element
+let favouritesEl = null;
+
+/** Settings filter controls */
+let searchInput = null;
+let modifiedOnlyBox = null;
 
 /** Original values from last load (for dirty tracking) */
 const originalValues = new Map();
 
-/** Auto-load flag — triggers settings load on first CLI prompt */
-let autoLoadPending = false;
+/** true after Defaults until a save: FC RAM holds defaults the form shows as clean */
+let defaultsUnsaved = false;
+
+/** Settings edit history: each step is a Map name → { from, to } */
+const undoStack = [];
+const redoStack = [];
+const MAX_UNDO = 100;
 
-/** When true, next renderForm keeps existing originalValues for dirty tracking */
-let preserveOriginalsOnLoad = false;
+/** Focused param input and its value when focus arrived (one undo step per field edit) */
+let editStart = null;
 
-/** When true, suppress terminal output during load */
-let silentLoad = false;
+/** Auto-load flag — triggers settings load on first CLI prompt */
+let autoLoadPending = false;
 
 /** Parse INI text (key=value lines, skipping sections/comments) */
 function parseIniText(text) {
@@ -57,26 +110,21 @@ function parseIniText(text) {
   return params;
 }
 
-/** Parse enriched `set` output: "name = value [min:max] {group}" */
-function parseSetOutput(text) {
-  const params = new Map();
-  for (const line of text.split('\n')) {
-    const m = line.match(/^(\S+)\s*=\s*(\S+)\s*\[([^:]+):([^\]]+)\]\s*\{([^}]+)\}/);
-    if (m) {
-      params.set(m[1], { value: m[2], min: parseFloat(m[3]), max: parseFloat(m[4]), group: m[5].trim() });
-    }
-  }
-  return params;
-}
-
 /**
  * Initialize terminal tab. Called from app.js on connect.
- * Event listeners are added only once; serial ref is updated each connect.
- * @param {Serial} serialRef - Serial port instance
+ * Event listeners are added only once; commands go out through cli.js.
+ * @param {function(): {variant, version, api, board}} identityFn - Connected FC identity
  */
-export function initTerminal(serialRef) {
-  serial = serialRef;
+export function initTerminal(identityFn) {
+  getIdentity = identityFn;
 
+  // Another FC may have another command set
+  commands.clear();
+  helpRequested = false;
+  defaultsUnsaved = false;
+
+  transcript.clear();
+  setTranscriptCallback(entry => transcript.add(entry));
   // Wire CLI text receiver (safe to call multiple times)
   setCliReceiver(onCliText);
 
@@ -84,17 +132,32 @@ export function initTerminal(serialRef) {
   if (initialized) return;
   initialized = true;
 
-  termOutput = document.getElementById('term-output');
+  termView = new TerminalView(document.getElementById('term-output'), loadScrollback());
+  initOutputTools();
+  initScriptPanel();
   termInput = document.getElementById('term-input');
   settingsForm = document.getElementById('settings-form');
   btnSave = document.getElementById('btn-save-settings');
 
+  completeEl = document.getElementById('term-complete');
+  promptEl = document.querySelector('#tab-terminal .terminal-prompt');
   termInput.addEventListener('keydown', onInputKey);
-  document.getElementById('btn-load-settings').addEventListener('click', loadSettings);
+  termInput.addEventListener('input', () => {
+    if (candidates.length > 0) refreshCompletions();
+  });
+  termInput.addEventListener('blur', () => {
+    hideCompletions();
+    if (reverseSearch) endSearch();
+  });
+  document.getElementById('btn-history').addEventListener('click', () => {
+    document.getElementById('history-panel').classList.toggle('hidden');
+    renderHistoryPanel();
+  });
+  document.getElementById('btn-load-settings').addEventListener('click', () => loadSettings());
   btnSave.addEventListener('click', saveSettings);
   document.getElementById('btn-defaults-settings').addEventListener('click', loadDefaults);
   document.getElementById('btn-clear-term').addEventListener('click', () => {
-    if (termOutput) termOutput.textContent = '';
+    if (termView) termView.clear();
   });
   document.getElementById('btn-export-ini').addEventListener('click', exportIni);
   document.getElementById('btn-import-ini').addEventListener('click', () => {
@@ -104,195 +167,729 @@ export function initTerminal(serialRef) {
     if (e.target.files[0]) importIni(e.target.files[0]);
     e.target.value = '';  // allow re-import of same file
   });
+  initProfilePanel();
+  initSettingsFilter();
+  document.getElementById('btn-undo').addEventListener('click', undoEdit);
+  document.getElementById('btn-redo').addEventListener('click', redoEdit);
+  document.addEventListener('keydown', onUndoKey);
+  document.getElementById('btn-backup').addEventListener('click', backupConfig);
+  document.getElementById('btn-restore').addEventListener('click', () => {
+    document.getElementById('backup-file-input').click();
+  });
+  document.getElementById('backup-file-input').addEventListener('change', (e) => {
+    if (e.target.files[0]) restoreConfig(e.target.files[0]);
+    e.target.value = '';
+  });
 }
 
 /** Called when terminal tab is activated — focus input, trigger auto-load */
 export function onTerminalActivate() {
+  history.load(getIdentity().board?.boardName);
+  historyIdx = history.entries.length;
+  renderHistoryPanel();
   if (termInput) termInput.focus();
   autoLoadPending = true;
 }
 
 /** Called when terminal tab is deactivated — clear state */
 export function onTerminalDeactivate() {
-  capturing = false;
-  captureBuffer = '';
   autoLoadPending = false;
-  if (captureTimer) {
-    clearTimeout(captureTimer);
-    captureTimer = null;
-  }
 }
 
-/** Handle incoming CLI text */
+/** Handle incoming CLI text (silent runCommand replies never arrive here) */
 function onCliText(text) {
-  if (capturing) {
-    captureBuffer += text;
-    // Check if prompt arrived (command completed)
-    if (captureBuffer.includes('# ')) {
-      finishCapture();
-    }
-    return;
-  }
-
   appendOutput(text);
 
   // Auto-load settings once CLI prompt is seen (deferred so current chunk renders first)
   if (autoLoadPending && text.includes('# ')) {
     autoLoadPending = false;
-    setTimeout(() => loadSettings(false, true), 0);
+    setTimeout(() => {
+      loadSettings(false, true);
+      learnCommands();
+    }, 0);
   }
 }
 
-/** Append text to terminal output and auto-scroll */
+/** Append text to terminal output (scrolls along if already at the end) */
 function appendOutput(text) {
-  if (!termOutput) return;
-  termOutput.textContent += text;
-  termOutput.scrollTop = termOutput.scrollHeight;
+  if (termView) termView.write(text);
+}
+
+/** Find box, line copy and scrollback selector above the output */
+function initOutputTools() {
+  const findInput = document.getElementById('term-find');
+  const findCount = document.getElementById('term-find-count');
+  findInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const { index, total } = termView.find(findInput.value, e.shiftKey ? -1 : 1);
+      findCount.textContent = findInput.value ? `${index}/${total}` : '';
+    } else if (e.key === 'Escape') {
+      findInput.value = '';
+      termView.find('');
+      findCount.textContent = '';
+    }
+  });
+
+  document.getElementById('btn-transcript-txt').addEventListener('click', () => exportTranscript('txt'));
+  document.getElementById('btn-transcript-json').addEventListener('click', () => exportTranscript('json'));
+
+  document.getElementById('btn-copy-term').addEventListener('click', async () => {
+    const selected = termView.selectedText();
+    try {
+      await navigator.clipboard.writeText(selected || termView.allText());
+      termView.clearSelection();
+    } catch {
+      appendOutput('[Copy failed \u2014 clipboard not available]\r\n');
+    }
+  });
+
+  const select = document.getElementById('term-scrollback');
+  for (const lines of SCROLLBACK_OPTIONS) {
+    const opt = document.createElement('option');
+    opt.value = String(lines);
+    opt.textContent = `${lines} lines`;
+    select.appendChild(opt);
+  }
+  select.value = String(termView.scrollback);
+  select.addEventListener('change', () => {
+    const lines = parseInt(select.value);
+    termView.setScrollback(lines);
+    try { localStorage.setItem(SCROLLBACK_KEY, String(lines)); } catch {}
+  });
+}
+
+/** Download the session transcript as text or JSON */
+function exportTranscript(format) {
+  if (transcript.entries.length === 0) {
+    appendOutput('[Transcript is empty \u2014 no CLI traffic yet]\r\n');
+    return;
+  }
+  const fc = getIdentity();
+  const board = fc.board?.boardName || 'fc';
+  const filename = `${board}_cli_${fileTimestamp()}.${format}`;
+  if (format === 'json') {
+    downloadText(filename, transcript.toJson(fc), 'application/json');
+  } else {
+    const heading = fc.variant
+      ? `dRehmFlight CLI transcript \u2014 ${fc.variant} v${fc.version} on ${fc.board?.boardName || 'unknown board'} (API ${fc.api || '?'})`
+      : 'dRehmFlight CLI transcript';
+    downloadText(filename, transcript.toText(heading));
+  }
+  appendOutput(`[Transcript saved to ${filename}]\r\n`);
+}
+
+function loadScrollback() {
+  try {
+    const lines = parseInt(localStorage.getItem(SCROLLBACK_KEY));
+    return SCROLLBACK_OPTIONS.includes(lines) ? lines : DEFAULT_SCROLLBACK;
+  } catch {
+    return DEFAULT_SCROLLBACK;
+  }
 }
 
 /** Handle keydown in terminal input */
 function onInputKey(e) {
-  if (capturing) return;  // Block input during settings load
-  if (e.key === 'Enter') {
-    const cmd = termInput.value.trim();
-    termInput.value = '';
-    if (!cmd) return;
-
-    // Block 'exit' — tab switching handles mode return
-    if (cmd === 'exit') {
-      appendOutput('Click a tab on the left to exit the terminal.\r\n');
+  if (reverseSearch) {
+    onSearchKey(e);
+    return;
+  }
+  if (e.key === 'r' && e.ctrlKey) {
+    e.preventDefault();
+    startSearch();
+    return;
+  }
+  if (candidates.length > 0) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      selectCandidate(candidateIdx + (e.key === 'ArrowDown' ? 1 : -1));
+      return;
+    }
+    if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      acceptCandidate(candidates[candidateIdx]);
       return;
     }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      hideCompletions();
+      return;
+    }
+  }
 
-    history.push(cmd);
-    historyIdx = history.length;
-    sendCommand(serial, cmd);
+  if (e.key === 'Tab') {
+    e.preventDefault();
+    complete();
+  } else if (e.key === 'Enter') {
+    const cmd = termInput.value.trim();
+    termInput.value = '';
+    submitCommand(cmd);
   } else if (e.key === 'ArrowUp') {
     e.preventDefault();
     if (historyIdx > 0) {
       historyIdx--;
-      termInput.value = history[historyIdx];
+      termInput.value = history.entries[historyIdx].cmd;
     }
   } else if (e.key === 'ArrowDown') {
     e.preventDefault();
-    if (historyIdx < history.length - 1) {
+    if (historyIdx < history.entries.length - 1) {
       historyIdx++;
-      termInput.value = history[historyIdx];
+      termInput.value = history.entries[historyIdx].cmd;
     } else {
-      historyIdx = history.length;
+      historyIdx = history.entries.length;
       termInput.value = '';
     }
   }
 }
 
-// --- Settings Form ---
+/** Send a typed (or re-run) command and record it in the history */
+function submitCommand(cmd) {
+  if (!cmd) return;
 
-/** Load settings: send `set` (no args) and capture param list.
- *  @param {boolean} preserveOriginals — if true, keep existing originalValues for dirty tracking
- *  @param {boolean} silent — if true, suppress terminal output */
-async function loadSettings(preserveOriginals = false, silent = false) {
-  if (capturing) return;
-  preserveOriginalsOnLoad = preserveOriginals;
-  silentLoad = silent;
-  captureBuffer = '';
-  capturing = true;
-  if (!silent) appendOutput('> set\r\n');
-  await sendCommand(serial, 'set');
+  // Block 'exit' — tab switching handles mode return
+  if (cmd === 'exit') {
+    appendOutput('Click a tab on the left to exit the terminal.\r\n');
+    return;
+  }
 
-  // Timeout fallback
-  captureTimer = setTimeout(() => {
-    if (capturing) finishCapture();
-  }, 3000);
+  history.add(cmd);
+  historyIdx = history.entries.length;
+  renderHistoryPanel();
+  // Queued behind any form command; the reply is shown as it streams in
+  runCommand(cmd, { timeoutMs: TYPED_TIMEOUT_MS });
 }
 
-/** Called when capture completes (prompt detected or timeout) */
-function finishCapture() {
-  capturing = false;
-  if (captureTimer) {
-    clearTimeout(captureTimer);
-    captureTimer = null;
+// --- History ---
+
+function startSearch() {
+  reverseSearch = { query: '', idx: history.entries.length, saved: termInput.value };
+  updateSearchPrompt(true);
+}
+
+/** Keys while searching: typing refines, Ctrl+R goes further back, Enter runs, Esc cancels */
+function onSearchKey(e) {
+  const s = reverseSearch;
+  if (e.key === 'r' && e.ctrlKey) {
+    e.preventDefault();
+    findMatch(s.idx);
+  } else if (e.key === 'Escape' || (e.key === 'g' && e.ctrlKey)) {
+    e.preventDefault();
+    termInput.value = s.saved;
+    endSearch();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    const cmd = termInput.value.trim();
+    endSearch();
+    termInput.value = '';
+    submitCommand(cmd);
+  } else if (e.key === 'Backspace') {
+    e.preventDefault();
+    s.query = s.query.slice(0, -1);
+    findMatch(history.entries.length);
+  } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    e.preventDefault();
+    s.query += e.key;
+    findMatch(s.idx + 1);  // the current match may still fit the longer query
+  } else if (!['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+    endSearch();  // arrows, Tab etc. keep the match for editing
   }
+}
 
-  let content = captureBuffer;
+/** Show the newest entry before index `before` that matches the query */
+function findMatch(before) {
+  const s = reverseSearch;
+  const idx = s.query ? history.search(s.query, before) : -1;
+  if (idx >= 0) {
+    s.idx = idx;
+    termInput.value = history.entries[idx].cmd;
+  }
+  updateSearchPrompt(idx >= 0 || !s.query);
+}
+
+function updateSearchPrompt(found) {
+  promptEl.textContent = `(${found ? '' : 'failed '}reverse-i-search)\`${reverseSearch.query}':`;
+  promptEl.classList.add('searching');
+}
+
+function endSearch() {
+  reverseSearch = null;
+  historyIdx = history.entries.length;
+  promptEl.textContent = '#';
+  promptEl.classList.remove('searching');
+}
 
-  // Strip everything after last prompt
-  const promptIdx = content.lastIndexOf('# ');
-  if (promptIdx >= 0) {
-    content = content.substring(0, promptIdx);
+/** History panel: pinned entries first, then the rest newest first */
+function renderHistoryPanel() {
+  const panel = document.getElementById('history-panel');
+  if (!panel || panel.classList.contains('hidden')) return;
+  const list = document.getElementById('history-list');
+  list.innerHTML = '';
+  const entries = [...history.entries].reverse();
+  const ordered = [...entries.filter(e => e.pinned), ...entries.filter(e => !e.pinned)];
+  if (ordered.length === 0) {
+    list.innerHTML = '<div class="history-empty">No commands yet for this board</div>';
+    return;
+  }
+  for (const entry of ordered) {
+    const row = document.createElement('div');
+    row.className = 'history-item' + (entry.pinned ? ' pinned' : '');
+
+    const pin = document.createElement('button');
+    pin.className = 'history-pin';
+    pin.textContent = entry.pinned ? '\u2605' : '\u2606';
+    pin.title = entry.pinned ? 'Unpin' : 'Pin (kept when history is trimmed)';
+    pin.addEventListener('click', () => {
+      history.togglePin(entry.cmd);
+      renderHistoryPanel();
+    });
+
+    const cmd = document.createElement('span');
+    cmd.className = 'history-cmd';
+    cmd.textContent = entry.cmd;
+    cmd.title = 'Edit in the command line';
+    cmd.addEventListener('click', () => {
+      termInput.value = entry.cmd;
+      termInput.focus();
+    });
+
+    const run = document.createElement('button');
+    run.className = 'history-run';
+    run.textContent = '\u25B6';
+    run.title = 'Run again';
+    run.addEventListener('click', () => submitCommand(entry.cmd));
+
+    row.append(pin, cmd, run);
+    list.appendChild(row);
+  }
+}
+
+// --- Script runner ---
+
+let scriptRunning = false;
+let scriptCancelled = false;
+
+function initScriptPanel() {
+  const panel = document.getElementById('script-panel');
+  const text = document.getElementById('script-text');
+  const macroSelect = document.getElementById('script-macro');
+  const macroName = document.getElementById('script-macro-name');
+
+  document.getElementById('btn-script').addEventListener('click', () => {
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) text.focus();
+  });
+  document.getElementById('btn-script-run').addEventListener('click', () => {
+    if (scriptRunning) scriptCancelled = true;
+    else runScriptText(text.value);
+  });
+  document.getElementById('btn-script-file').addEventListener('click', () => {
+    document.getElementById('script-file-input').click();
+  });
+  document.getElementById('script-file-input').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    text.value = await file.text();
+    macroName.value = file.name.replace(/\.[^.]+$/, '');
+  });
+
+  macroSelect.addEventListener('change', () => {
+    const macro = loadMacros().find(m => m.name === macroSelect.value);
+    if (!macro) return;
+    text.value = macro.text;
+    macroName.value = macro.name;
+  });
+  document.getElementById('btn-macro-save').addEventListener('click', () => {
+    const name = macroName.value.trim();
+    if (!name || !text.value.trim()) return;
+    saveMacro(name, text.value);
+    refreshMacros(name);
+  });
+  document.getElementById('btn-macro-delete').addEventListener('click', () => {
+    if (!macroSelect.value) return;
+    deleteMacro(macroSelect.value);
+    refreshMacros('');
+  });
+  refreshMacros('');
+}
+
+function refreshMacros(selected) {
+  const select = document.getElementById('script-macro');
+  select.length = 1;  // keep the "Macros..." placeholder
+  for (const { name } of loadMacros()) {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    select.appendChild(opt);
+  }
+  select.value = selected;
+}
+
+/** Run a script, showing each line's status below the editor */
+async function runScriptText(source) {
+  const lines = parseScript(source);
+  if (!lines.some(l => l.command)) return;
+
+  const statusEl = document.getElementById('script-status');
+  const runBtn = document.getElementById('btn-script-run');
+  statusEl.innerHTML = '';
+  const rows = lines.map(line => {
+    const row = document.createElement('div');
+    row.className = 'script-line';
+    const no = document.createElement('span');
+    no.className = 'script-line-no';
+    no.textContent = line.lineNo;
+    const cmd = document.createElement('span');
+    cmd.className = 'script-line-text';
+    cmd.textContent = line.text;
+    const detail = document.createElement('span');
+    detail.className = 'script-line-detail';
+    row.append(no, cmd, detail);
+    statusEl.appendChild(row);
+    return row;
+  });
+
+  scriptRunning = true;
+  scriptCancelled = false;
+  runBtn.textContent = 'Stop';
+  appendOutput(`> script (${lines.filter(l => l.command).length} commands)\r\n`);
+  let counts;
+  try {
+    counts = await runScript(lines, {
+      stopOnError: document.getElementById('script-stop-on-error').checked,
+      isCancelled: () => scriptCancelled,
+      onStatus: (i, status, detail) => {
+        rows[i].className = `script-line ${status}`;
+        rows[i].lastChild.textContent = detail;
+        if (status === 'running') rows[i].scrollIntoView({ block: 'nearest' });
+      },
+    });
+  } finally {
+    scriptRunning = false;
+    runBtn.textContent = 'Run';
+  }
+  appendOutput(`[Script: ${counts.ok} ok, ${counts.error} failed, ${counts.skipped} skipped]\r\n`);
+}
+
+// --- Completion ---
+
+/** Ask the firmware for its command list (once per connection) */
+async function learnCommands() {
+  if (helpRequested) return;
+  helpRequested = true;
+  const { output, error } = await runCommand('help', { silent: true, source: 'Completion' });
+  if (error) {
+    helpRequested = false;  // retry on the next Tab
+    return;
+  }
+  for (const { name, description } of parseHelpOutput(output)) commands.set(name, description);
+}
+
+/** Candidates for the word before the cursor: a parameter after set/get, else a command */
+function findCandidates() {
+  const text = termInput.value.slice(0, termInput.selectionStart);
+  const param = text.match(/^\s*(set|get)\s+(\S*)$/i);
+  if (param) {
+    const prefix = param[2].toLowerCase();
+    const items = [];
+    for (const [name, meta] of paramMeta) {
+      if (!name.toLowerCase().startsWith(prefix)) continue;
+      items.push({ name, details: [originalValues.get(name) ?? '', `[${meta.min}:${meta.max}]`, meta.group] });
+    }
+    return { start: text.length - param[2].length, items };
+  }
+  const cmd = text.match(/^\s*(\S*)$/);
+  if (cmd) {
+    const prefix = cmd[1].toLowerCase();
+    const items = [...commands]
+      .filter(([name]) => name.toLowerCase().startsWith(prefix))
+      .map(([name, description]) => ({ name, details: [description] }));
+    return { start: text.length - cmd[1].length, items };
+  }
+  return { start: 0, items: [] };
+}
+
+/** Tab: complete a unique candidate, else extend to the common prefix and list them */
+async function complete() {
+  if (commands.size === 0) await learnCommands();
+  const { start, items } = findCandidates();
+  if (items.length === 0) {
+    hideCompletions();
+    return;
+  }
+  if (items.length === 1) {
+    completeStart = start;
+    acceptCandidate(items[0]);
+    return;
+  }
+  const names = items.map(item => item.name);
+  let common = names[0];
+  for (const name of names) {
+    while (!name.toLowerCase().startsWith(common.toLowerCase())) common = common.slice(0, -1);
+  }
+  replaceWord(start, common);
+  showCompletions(start, items);
+}
+
+/** Re-filter the open dropdown as the user types */
+function refreshCompletions() {
+  const { start, items } = findCandidates();
+  if (items.length === 0) hideCompletions();
+  else showCompletions(start, items);
+}
+
+function showCompletions(start, items) {
+  if (!completeEl) return;
+  completeStart = start;
+  candidates = items.slice(0, MAX_CANDIDATES);
+  completeEl.innerHTML = '';
+  candidates.forEach((item, i) => {
+    const row = document.createElement('div');
+    row.className = 'term-complete-item';
+    for (const [j, text] of [item.name, ...item.details].entries()) {
+      const cell = document.createElement('span');
+      cell.className = j === 0 ? 'term-complete-name' : 'term-complete-detail';
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    // mousedown fires before the input's blur would close the list
+    row.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      acceptCandidate(candidates[i]);
+    });
+    completeEl.appendChild(row);
+  });
+  if (items.length > MAX_CANDIDATES) {
+    const more = document.createElement('div');
+    more.className = 'term-complete-more';
+    more.textContent = `${items.length - MAX_CANDIDATES} more \u2014 keep typing`;
+    completeEl.appendChild(more);
+  }
+  completeEl.classList.remove('hidden');
+  selectCandidate(0);
+}
+
+function hideCompletions() {
+  candidates = [];
+  candidateIdx = -1;
+  if (completeEl) completeEl.classList.add('hidden');
+}
+
+function selectCandidate(idx) {
+  candidateIdx = (idx + candidates.length) % candidates.length;
+  completeEl.querySelectorAll('.term-complete-item').forEach((row, i) => {
+    row.classList.toggle('selected', i === candidateIdx);
+    if (i === candidateIdx) row.scrollIntoView({ block: 'nearest' });
+  });
+}
+
+function acceptCandidate(item) {
+  replaceWord(completeStart, item.name + ' ');
+  hideCompletions();
+}
+
+/** Replace input text between start and the cursor, leaving the cursor after it */
+function replaceWord(start, text) {
+  const value = termInput.value;
+  const end = termInput.selectionStart;
+  termInput.value = value.slice(0, start) + text + value.slice(end);
+  const cursor = start + text.length;
+  termInput.setSelectionRange(cursor, cursor);
+}
+
+// --- Settings Form ---
+
+/** Load settings: send `set` (no args) and capture param list.
+ *  @param {boolean} preserveOriginals — if true, keep existing originalValues for dirty tracking
+ *  @param {boolean} silent — if true, suppress terminal output */
+async function loadSettings(preserveOriginals = false, silent = false) {
+  if (settingsBusy) return;
+  setSettingsBusy(true);
+  try {
+    await runLoad(preserveOriginals, silent);
+  } finally {
+    setSettingsBusy(false);
   }
+}
 
-  // Strip command echo if present
-  const echoEnd = content.indexOf('\n');
-  if (echoEnd >= 0 && content.substring(0, echoEnd).includes('set')) {
-    content = content.substring(echoEnd + 1);
+async function runLoad(preserveOriginals, silent) {
+  if (!silent) appendOutput('> set\r\n');
+  const { output, error } = await runCommand('set', { silent: true, source: 'Load' });
+  if (error) {
+    appendOutput(`[Load failed: ${error}]\r\n`);
+    return;
   }
 
   // Parse enriched "name = value [min:max] {group}" lines
-  const parsed = parseSetOutput(content);
+  const parsed = parseSetOutput(output);
 
   // Store metadata and extract plain name→value map
   const params = new Map();
   for (const [name, meta] of parsed) {
-    paramMeta.set(name, { min: meta.min, max: meta.max, group: meta.group });
+    paramMeta.set(name, { min: meta.min, max: meta.max, group: meta.group, decimals: meta.decimals });
     params.set(name, meta.value);
   }
 
   if (params.size > 0) {
-    renderForm(params);
-    if (!silentLoad) appendOutput(`[Loaded ${params.size} parameters]\r\n`);
+    renderForm(params, preserveOriginals);
+    if (!silent) appendOutput(`[Loaded ${params.size} parameters]\r\n`);
   } else {
     appendOutput('[No parameters received \u2014 click Load to retry]\r\n');
   }
 }
 
-/** Build grouped form from parsed params */
-function renderForm(params) {
+/** Build grouped form from parsed params
+ *  @param {boolean} preserveOriginals — if true, keep existing originalValues for dirty tracking */
+function renderForm(params, preserveOriginals = false) {
   if (!settingsForm) return;
 
   // Store originals for dirty tracking (skip if preserving previous originals)
-  if (!preserveOriginalsOnLoad) {
+  if (!preserveOriginals) {
     originalValues.clear();
     for (const [name, value] of params) {
       originalValues.set(name, value);
     }
   }
-  preserveOriginalsOnLoad = false;
 
   settingsForm.innerHTML = '';
+  undoStack.length = 0;
+  redoStack.length = 0;
+  editStart = null;
+  updateUndoButtons();
 
   // Group params by firmware metadata (preserves paramTable order)
-  const groups = new Map();  // group name → [[name, value], ...]
+  favourites.load(getIdentity().board?.boardName);
+  formRows = [];
+  groupEls.clear();
+  favouritesEl = createGroup('Favourites');
+  settingsForm.appendChild(favouritesEl);
   for (const [name, value] of params) {
     const meta = paramMeta.get(name);
     const groupName = meta ? meta.group : 'Other';
-    if (!groups.has(groupName)) groups.set(groupName, []);
-    groups.get(groupName).push([name, value]);
+    if (!groupEls.has(groupName)) {
+      groupEls.set(groupName, createGroup(groupName));
+      settingsForm.appendChild(groupEls.get(groupName));
+    }
+    const row = createParamRow(name, value, meta);
+    row.dataset.group = groupName;
+    formRows.push(row);
   }
 
-  for (const [groupName, entries] of groups) {
-    const groupEl = document.createElement('div');
-    groupEl.className = 'settings-group';
+  arrangeFavourites();
+  applyFilter();
+  updateSaveButton();
+  lockForm();
+}
 
-    const titleEl = document.createElement('div');
-    titleEl.className = 'settings-group-title';
-    titleEl.textContent = groupName;
-    groupEl.appendChild(titleEl);
+/** Empty group: title with name and a "Revert group" button */
+function createGroup(groupName) {
+  const groupEl = document.createElement('div');
+  groupEl.className = 'settings-group';
 
-    for (const [name, value] of entries) {
-      const meta = paramMeta.get(name);
-      groupEl.appendChild(createParamRow(name, value, meta?.min, meta?.max));
-    }
+  const titleEl = document.createElement('div');
+  titleEl.className = 'settings-group-title';
+  const nameEl = document.createElement('span');
+  nameEl.className = 'settings-group-name';
+  nameEl.textContent = groupName;
+  const revertGroup = document.createElement('button');
+  revertGroup.className = 'group-revert';
+  revertGroup.textContent = 'Revert group';
+  revertGroup.title = 'Put every parameter in this group back to the FC value';
+  revertGroup.addEventListener('click', () => {
+    // A firmware group includes its starred rows, which sit in Favourites
+    const rows = groupEl === favouritesEl
+      ? formRows.filter(r => r.classList.contains('favourite'))
+      : formRows.filter(r => r.dataset.group === groupName);
+    applyValues(new Map(rows.map(r => [r.dataset.param, originalValues.get(r.dataset.param)])));
+  });
+  titleEl.appendChild(nameEl);
+  titleEl.appendChild(revertGroup);
+  groupEl.appendChild(titleEl);
+  return groupEl;
+}
 
-    settingsForm.appendChild(groupEl);
+/** Starred rows go to the Favourites group, the others back to their own group (table order kept) */
+function arrangeFavourites() {
+  for (const row of formRows) {
+    const starred = favourites.has(row.dataset.param);
+    row.classList.toggle('favourite', starred);
+    const star = row.querySelector('.param-star');
+    star.textContent = starred ? '\u2605' : '\u2606';
+    star.title = starred ? 'Remove from Favourites' : 'Pin to Favourites';
+    (starred ? favouritesEl : groupEls.get(row.dataset.group)).appendChild(row);
   }
+}
 
-  updateSaveButton();
+// --- Search / filter ---
+
+function initSettingsFilter() {
+  searchInput = document.getElementById('settings-search');
+  modifiedOnlyBox = document.getElementById('settings-modified');
+  searchInput.addEventListener('input', applyFilter);
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    searchInput.value = '';
+    applyFilter();
+  });
+  modifiedOnlyBox.addEventListener('change', applyFilter);
+  // A row being edited stays visible until focus leaves it
+  settingsForm.addEventListener('focusout', () => {
+    if (modifiedOnlyBox.checked) setTimeout(applyFilter, 0);
+  });
 }
 
-/** Create a single param row: label + number input with optional min/max */
-function createParamRow(name, value, min, max) {
+/** Show rows whose name or group contains the search text (and, if ticked, only modified ones) */
+function applyFilter() {
+  if (!settingsForm || !searchInput) return;
+  const query = searchInput.value.trim().toLowerCase();
+  const modifiedOnly = modifiedOnlyBox.checked;
+  let shown = 0;
+  for (const row of formRows) {
+    const name = row.dataset.param;
+    const at = query ? name.toLowerCase().indexOf(query) : -1;
+    const matches = !query || at >= 0 || row.dataset.group.toLowerCase().includes(query);
+    const modified = row.classList.contains('dirty') || row.contains(document.activeElement);
+    const visible = matches && (!modifiedOnly || modified);
+    row.classList.toggle('hidden', !visible);
+    highlight(row.querySelector('.param-label'), name, at, query.length);
+    if (visible) shown++;
+  }
+  for (const [groupName, groupEl] of groupEls) {
+    const at = query ? groupName.toLowerCase().indexOf(query) : -1;
+    highlight(groupEl.querySelector('.settings-group-name'), groupName, at, query.length);
+  }
+  for (const groupEl of [favouritesEl, ...groupEls.values()]) {
+    groupEl?.classList.toggle('hidden', !groupEl.querySelector('.param-row:not(.hidden)'));
+  }
+  const filtered = query || modifiedOnly;
+  document.getElementById('settings-filter-count').textContent =
+    filtered && formRows.length ? `${shown} of ${formRows.length}` : '';
+}
+
+/** Set el's text with text[at, at + length) wrapped in <mark> (at = -1: no match) */
+function highlight(el, text, at, length) {
+  if (at < 0 || length === 0) {
+    el.textContent = text;
+    return;
+  }
+  const mark = document.createElement('mark');
+  mark.textContent = text.slice(at, at + length);
+  el.replaceChildren(text.slice(0, at), mark, text.slice(at + length));
+}
+
+/** Create a single param row: label, range widget, number input, revert, status */
+function createParamRow(name, value, meta) {
   const row = document.createElement('div');
   row.className = 'param-row';
+  row.dataset.param = name;
+
+  const star = document.createElement('button');
+  star.className = 'param-star';
+  star.addEventListener('click', () => {
+    favourites.toggle(name);
+    arrangeFavourites();
+    applyFilter();
+  });
 
   const label = document.createElement('span');
   label.className = 'param-label';
@@ -300,25 +897,227 @@ function createParamRow(name, value, min, max) {
 
   const input = document.createElement('input');
   input.type = 'number';
-  input.step = 'any';
+  input.step = paramStep(meta);
   input.className = 'param-input';
   input.dataset.param = name;
   input.value = value;
-  if (min != null) input.min = min;
-  if (max != null) input.max = max;
+  if (meta) {
+    input.min = meta.min;
+    input.max = meta.max;
+  }
   input.addEventListener('input', () => onParamInput(row, input));
+  input.addEventListener('focus', () => { editStart = { input, value: input.value }; });
+  input.addEventListener('change', () => commitFieldEdit());
+  row.classList.toggle('dirty', value !== originalValues.get(name));
+
+  const control = createParamControl(row, input, meta);
+
+  const revert = document.createElement('button');
+  revert.className = 'param-revert';
+  revert.textContent = '\u21BA';
+  revert.title = 'Revert to the FC value';
+  revert.addEventListener('click', () => applyValues(new Map([[name, originalValues.get(name)]])));
 
+  const status = document.createElement('span');
+  status.className = 'param-status';
+
+  row.appendChild(star);
   row.appendChild(label);
+  if (control) row.appendChild(control);
   row.appendChild(input);
+  row.appendChild(revert);
+  row.appendChild(status);
+  syncControl(row, input);
+  checkRow(row, input);
   return row;
 }
 
+/**
+ * Widget for the parameter's kind, bound to the row's number input (which
+ * stays the value every other part of the form reads). Toggles and selects
+ * hide the number input; sliders sit next to it.
+ * @returns {HTMLElement|null} null for a plain number field
+ */
+function createParamControl(row, input, meta) {
+  const name = input.dataset.param;
+  const kind = paramKind(meta);
+  if (kind === 'toggle') {
+    input.classList.add('hidden');
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.className = 'param-toggle';
+    toggle.addEventListener('change', () => applyValues(new Map([[name, toggle.checked ? '1' : '0']])));
+    return toggle;
+  }
+  if (kind === 'select') {
+    input.classList.add('hidden');
+    const select = document.createElement('select');
+    select.className = 'param-select';
+    for (let v = meta.min; v <= meta.max; v++) select.add(new Option(formatParam(v, meta), formatParam(v, meta)));
+    select.addEventListener('change', () => applyValues(new Map([[name, select.value]])));
+    return select;
+  }
+  if (kind === 'slider') {
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'param-slider';
+    slider.min = meta.min;
+    slider.max = meta.max;
+    slider.step = paramStep(meta);
+    // A drag is one undo step, like typing into the field
+    slider.addEventListener('input', () => {
+      if (editStart?.input !== input) editStart = { input, value: input.value };
+      input.value = formatParam(slider.value, meta);
+      onParamInput(row, input);
+    });
+    slider.addEventListener('change', () => commitFieldEdit());
+    return slider;
+  }
+  return null;
+}
+
+/** Show the number input's value on the row's widget */
+function syncControl(row, input) {
+  const control = row.querySelector('.param-toggle, .param-select, .param-slider');
+  if (!control) return;
+  const num = parseFloat(input.value);
+  if (control.type === 'checkbox') {
+    control.checked = num === 1;
+    control.indeterminate = num !== 0 && num !== 1;
+  } else if (control.tagName === 'SELECT') {
+    // A value outside the range (import, profile) gets a temporary option so it stays visible
+    control.querySelector('.param-extra')?.remove();
+    let option = [...control.options].find(o => parseFloat(o.value) === num);
+    if (!option) {
+      option = new Option(input.value || '?', input.value);
+      option.className = 'param-extra';
+      control.add(option);
+    }
+    control.value = option.value;
+  } else if (!isNaN(num)) {
+    control.value = num;
+  }
+}
+
+/**
+ * Clear the row's save marker and flag a value the firmware would refuse or clamp.
+ * @returns {string} The problem, or '' if the value can be saved
+ */
+function checkRow(row, input) {
+  setRowResult(row, null);
+  const problem = validateParam(input.value, paramMeta.get(input.dataset.param));
+  row.classList.toggle('invalid', problem !== '');
+  const status = row.querySelector('.param-status');
+  if (problem && status) {
+    status.textContent = '!';
+    status.title = problem;
+  }
+  return problem;
+}
+
+// --- Undo / redo ---
+
+/**
+ * Set form values (bulk or single) and record them as one undo step.
+ * @param {Map<string, string>} values - name → new value; unknown names are ignored
+ * @param {boolean} record - false when replaying an undo/redo step
+ */
+function applyValues(values, record = true) {
+  commitFieldEdit();
+  const changes = new Map();
+  for (const [name, value] of values) {
+    const input = settingsForm.querySelector(`.param-input[data-param="${name}"]`);
+    if (!input || value === undefined || input.value === value) continue;
+    changes.set(name, { from: input.value, to: value });
+    input.value = value;
+    onParamInput(input.closest('.param-row'), input);
+  }
+  if (editStart) editStart.value = editStart.input.value;
+  if (record) recordEdit(changes);
+  return changes;
+}
+
+/** A typed edit is one step from focus (or the last commit) to change/blur */
+function commitFieldEdit() {
+  if (!editStart || editStart.input.value === editStart.value) return;
+  const { input, value } = editStart;
+  recordEdit(new Map([[input.dataset.param, { from: value, to: input.value }]]));
+  editStart.value = input.value;
+}
+
+function recordEdit(changes) {
+  if (changes.size === 0) return;
+  undoStack.push(changes);
+  if (undoStack.length > MAX_UNDO) undoStack.shift();
+  redoStack.length = 0;
+  updateUndoButtons();
+}
+
+function undoEdit() {
+  if (settingsBusy) return;  // a running save or load is rewriting the inputs
+  commitFieldEdit();
+  const step = undoStack.pop();
+  if (!step) return;
+  applyValues(new Map([...step].map(([name, c]) => [name, c.from])), false);
+  redoStack.push(step);
+  updateUndoButtons();
+}
+
+function redoEdit() {
+  if (settingsBusy) return;
+  const step = redoStack.pop();
+  if (!step) return;
+  applyValues(new Map([...step].map(([name, c]) => [name, c.to])), false);
+  undoStack.push(step);
+  updateUndoButtons();
+}
+
+function updateUndoButtons() {
+  const undo = document.getElementById('btn-undo');
+  const redo = document.getElementById('btn-redo');
+  if (!undo || !redo) return;
+  undo.disabled = settingsBusy || undoStack.length === 0;
+  redo.disabled = settingsBusy || redoStack.length === 0;
+}
+
+function setSettingsBusy(busy) {
+  settingsBusy = busy;
+  updateUndoButtons();
+  lockForm();
+}
+
+/** Form controls (fields, widgets, revert and star buttons) are disabled while busy */
+function lockForm() {
+  if (!settingsForm) return;
+  for (const el of settingsForm.querySelectorAll('input, select, button')) el.disabled = settingsBusy;
+}
+
+/** Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) in the settings panel; other text fields keep native undo */
+function onUndoKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (!document.getElementById('tab-terminal')?.classList.contains('active')) return;
+  const t = e.target;
+  const inPanel = t === document.body || (t.closest('.settings-panel') && !t.matches('input[type=text], input[type=search], textarea'));
+  if (!inPanel) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoEdit();
+  } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+    e.preventDefault();
+    redoEdit();
+  }
+}
+
 /** Handle param input change — update dirty state */
 function onParamInput(row, input) {
+  checkRow(row, input);
+  syncControl(row, input);
   const name = input.dataset.param;
   const original = originalValues.get(name);
   const dirty = input.value !== original;
   row.classList.toggle('dirty', dirty);
+  if (modifiedOnlyBox?.checked) applyFilter();
   updateSaveButton();
 }
 
@@ -326,7 +1125,7 @@ function onParamInput(row, input) {
 function updateSaveButton() {
   if (!btnSave) return;
   const count = getDirtyCount();
-  btnSave.textContent = count > 0 ? `Save (${count})` : 'Save';
+  btnSave.textContent = count > 0 ? `Save (${count})` : defaultsUnsaved ? 'Save (defaults)' : 'Save';
 }
 
 /** Count params that differ from original values */
@@ -342,9 +1141,19 @@ function getDirtyCount() {
 
 /** Save settings: send `set name value` for changed params, then `save` */
 async function saveSettings() {
-  if (!settingsForm || capturing) return;
+  if (!settingsForm || settingsBusy) return;
+  setSettingsBusy(true);
+  try {
+    await runSave();
+  } finally {
+    setSettingsBusy(false);
+  }
+}
 
-  const changed = [];
+async function runSave() {
+  for (const input of settingsForm.querySelectorAll('.param-input')) checkRow(input.closest('.param-row'), input);
+
+  let changed = [];
   for (const input of settingsForm.querySelectorAll('.param-input')) {
     const name = input.dataset.param;
     const original = originalValues.get(name);
@@ -354,24 +1163,142 @@ async function saveSettings() {
   }
 
   if (changed.length === 0) {
-    appendOutput('[No changes to save]\r\n');
+    if (defaultsUnsaved) await saveDefaults();
+    else appendOutput('[No changes to save]\r\n');
+    return;
+  }
+
+  // Nothing is sent while any change is invalid — the FC would clamp or refuse it
+  const invalid = changed
+    .map(({ name, value }) => ({ name, problem: validateParam(value, paramMeta.get(name)) }))
+    .filter(({ problem }) => problem);
+  if (invalid.length > 0) {
+    appendOutput(`[Save blocked \u2014 ${invalid.length} invalid value${invalid.length === 1 ? '' : 's'}, nothing was sent]\r\n`);
+    for (const { name, problem } of invalid) appendOutput(`[  ${name}: ${problem}]\r\n`);
+    settingsForm.querySelector('.param-row.invalid')?.scrollIntoView({ block: 'nearest' });
     return;
   }
 
+  // Rows left unticked are not sent and stay dirty
+  const accepted = await reviewChanges({
+    title: 'Save to flight controller',
+    action: 'Send & save',
+    incomingLabel: 'New value',
+    rows: changed.map(({ name, value }) => reviewRow(name, value)),
+  });
+  if (!accepted) {
+    appendOutput('[Save cancelled]\r\n');
+    return;
+  }
+  changed = changed.filter(({ name }) => accepted.has(name));
+
+  const results = new Map();  // name → { ok, message }
+  const applied = [];
   for (const { name, value } of changed) {
-    await sendCommand(serial, `set ${name} ${value}`);
-    await sleep(50);
+    const { error } = await runCommand(`set ${name} ${value}`, { source: 'Save' });
+    if (error) results.set(name, { ok: false, message: error });
+    else applied.push({ name, value });
+  }
+
+  if (applied.length > 0 || defaultsUnsaved) {
+    appendOutput(`> save (${applied.length} parameters)\r\n`);
+    const { error } = await runCommand('save', { source: 'Save' });
+    if (error) {
+      for (const { name } of applied) results.set(name, { ok: false, message: `save failed: ${error}` });
+      reportSave(changed, results);
+      return;
+    }
+    defaultsUnsaved = false;
+  }
+
+  // Read back: the FC may have clamped, rounded or ignored a value
+  const { output, error } = await runCommand('set', { silent: true, source: 'Save (verify)' });
+  const held = error ? new Map() : parseSetOutput(output);
+  if (held.size === 0) {
+    for (const { name } of applied) results.set(name, { ok: false, message: 'saved, but read-back failed' });
+    reportSave(changed, results);
+    return;
+  }
+
+  for (const { name, value } of applied) {
+    const fc = held.get(name);
+    if (!fc) results.set(name, { ok: false, message: 'not reported by FC after save' });
+    else if (sameValue(fc.value, value)) results.set(name, { ok: true, message: `FC holds ${fc.value}` });
+    else results.set(name, { ok: false, message: `sent ${value}, FC holds ${fc.value}` });
   }
 
-  appendOutput(`> save (${changed.length} parameters)\r\n`);
-  await sendCommand(serial, 'save');
+  // Originals follow what the FC reports; verified rows show the FC's formatting
+  for (const [name, fc] of held) {
+    paramMeta.set(name, { min: fc.min, max: fc.max, group: fc.group, decimals: fc.decimals });
+    if (!originalValues.has(name)) continue;
+    originalValues.set(name, fc.value);
+    if (results.get(name)?.ok) {
+      const input = settingsForm.querySelector(`.param-input[data-param="${name}"]`);
+      if (input) {
+        input.value = fc.value;
+        syncControl(input.closest('.param-row'), input);
+      }
+    }
+  }
+  reportSave(changed, results);
+}
+
+/** Write the defaults sitting in FC RAM to EEPROM (no form row differs from them) */
+async function saveDefaults() {
+  const ok = await confirmAction({
+    title: 'Save to flight controller',
+    lines: ['The FC holds the firmware defaults in RAM. Saving writes them to EEPROM and replaces the saved configuration.'],
+    action: 'Save defaults',
+  });
+  if (!ok) {
+    appendOutput('[Save cancelled]\r\n');
+    return;
+  }
+  appendOutput('> save (defaults)\r\n');
+  const { error } = await runCommand('save', { source: 'Save' });
+  if (error) {
+    appendOutput(`[Save failed: ${error}]\r\n`);
+    return;
+  }
+  defaultsUnsaved = false;
+  updateSaveButton();
+  appendOutput('[Defaults saved]\r\n');
+}
 
-  // Update originals to match saved values and clear dirty state
+/** Mark rows with their save result, refresh dirty state, summarize in the terminal */
+function reportSave(changed, results) {
   for (const input of settingsForm.querySelectorAll('.param-input')) {
-    originalValues.set(input.dataset.param, input.value);
-    input.closest('.param-row').classList.remove('dirty');
+    const row = input.closest('.param-row');
+    row.classList.toggle('dirty', input.value !== originalValues.get(input.dataset.param));
+    if (results.has(input.dataset.param)) setRowResult(row, results.get(input.dataset.param));
   }
+  applyFilter();
   updateSaveButton();
+
+  const failed = changed.filter(({ name }) => !results.get(name)?.ok);
+  appendOutput(`[Saved ${changed.length - failed.length} of ${changed.length} parameters]\r\n`);
+  for (const { name } of failed) {
+    appendOutput(`[  ${name}: ${results.get(name).message}]\r\n`);
+  }
+}
+
+/** Show (or clear, with null) a row's save marker */
+function setRowResult(row, result) {
+  row.classList.toggle('save-ok', result?.ok === true);
+  row.classList.toggle('save-failed', result?.ok === false);
+  const status = row.querySelector('.param-status');
+  if (!status) return;
+  status.textContent = result ? (result.ok ? '\u2713' : '\u2717') : '';
+  status.title = result ? result.message : '';
+}
+
+/** Compare a read-back value with the one sent, to the precision the FC prints */
+function sameValue(held, sent) {
+  const a = parseFloat(held);
+  const b = parseFloat(sent);
+  if (isNaN(a) || isNaN(b)) return held === sent;
+  const decimals = (held.split('.')[1] || '').length;
+  return Math.abs(a - b) <= 0.5 * 10 ** -decimals + 1e-9;
 }
 
 /** Collect current form values as a Map */
@@ -400,43 +1327,403 @@ function exportIni() {
   const parts = info.split('|').map(s => s.trim());
   const board = parts.length >= 3 ? parts[2] : '';
   const filename = board ? `${board}_config.ini` : 'config.ini';
-  // Trigger download
-  const blob = new Blob([text], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
+  downloadText(filename, text);
   appendOutput(`[Exported ${inputs.length} parameters to ${filename}]\r\n`);
 }
 
-/** Import .ini file and merge into form */
-function importIni(file) {
-  file.text().then(text => {
-    const fileParams = parseIniText(text);
-    if (fileParams.size === 0) {
-      appendOutput(`[No parameters found in ${file.name}]\r\n`);
-      return;
+/** Review row for a parameter: FC value, incoming value, firmware range */
+function reviewRow(name, incoming) {
+  const meta = paramMeta.get(name);
+  return {
+    name,
+    current: originalValues.get(name),
+    incoming,
+    min: meta?.min,
+    max: meta?.max,
+    unknown: paramMeta.size > 0 && !meta,
+  };
+}
+
+/** Import .ini file: review the differences, merge the accepted ones into the form */
+async function importIni(file) {
+  if (settingsBusy) return;
+  setSettingsBusy(true);
+  try {
+    await runImport(file);
+  } finally {
+    setSettingsBusy(false);
+  }
+}
+
+async function runImport(file) {
+  const fileParams = parseIniText(await file.text());
+  if (fileParams.size === 0) {
+    appendOutput(`[No parameters found in ${file.name}]\r\n`);
+    return;
+  }
+  // The review compares against FC values, so an empty form is loaded first
+  if (originalValues.size === 0) await runLoad(false, true);
+  if (originalValues.size === 0) {
+    appendOutput(`[Import failed: could not read the FC's settings to compare ${file.name} with]\r\n`);
+    return;
+  }
+
+  const rows = [];
+  for (const [name, value] of fileParams) {
+    if (originalValues.has(name) && sameValue(originalValues.get(name), value)) continue;
+    rows.push(reviewRow(name, value));
+  }
+  if (rows.length === 0) {
+    appendOutput(`[${file.name} matches the FC \u2014 nothing to import]\r\n`);
+    return;
+  }
+  const accepted = await reviewChanges({ title: `Import ${file.name}`, action: 'Apply to form', incomingLabel: 'File', rows });
+  if (!accepted) {
+    appendOutput('[Import cancelled]\r\n');
+    return;
+  }
+  const missing = [...accepted].filter(name => !originalValues.has(name));
+  applyValues(new Map([...accepted].map(name => [name, fileParams.get(name)])));
+  const applicable = rows.filter(r => !r.unknown).length;
+  appendOutput(`[Imported ${accepted.size - missing.length} of ${applicable} changes from ${file.name} \u2014 Save to write them]\r\n`);
+  if (missing.length) appendOutput(`[Not in the form, skipped: ${missing.join(', ')}]\r\n`);
+}
+
+/**
+ * Load defaults. The firmware only hands out its defaults by loading them into
+ * RAM, so this asks first, then runs `defaults` and reloads the form from the
+ * FC. Nothing reaches EEPROM until Save.
+ */
+async function loadDefaults() {
+  if (settingsBusy) return;
+  setSettingsBusy(true);
+  try {
+    await runDefaults();
+  } finally {
+    setSettingsBusy(false);
+  }
+}
+
+async function runDefaults() {
+  if (getFormParams().size === 0) await runLoad(false, true);
+  const dirty = getDirtyCount();
+  const ok = await confirmAction({
+    title: 'Load defaults',
+    lines: [
+      'The firmware defaults are loaded into the FC\'s RAM, replacing the values it is running with. ' +
+        'The saved configuration (EEPROM) is untouched until you click Save.',
+      dirty > 0
+        ? `The form is then reloaded from the FC, discarding ${dirty} unsaved change${dirty === 1 ? '' : 's'}.`
+        : 'The form is then reloaded from the FC.',
+      'To go back without saving, power-cycle the FC.',
+    ],
+    action: 'Load defaults',
+  });
+  if (!ok) {
+    appendOutput('[Defaults cancelled]\r\n');
+    return;
+  }
+
+  appendOutput('> defaults\r\n');
+  const { error } = await runCommand('defaults', { silent: true, source: 'Defaults' });
+  if (error) {
+    appendOutput(`[Defaults failed: ${error}]\r\n`);
+    return;
+  }
+  defaultsUnsaved = true;
+  await runLoad(false, true);
+  updateSaveButton();
+  appendOutput('[Defaults loaded into FC RAM \u2014 Save to write them, power-cycle to discard]\r\n');
+}
+
+// --- Full backup / restore ---
+
+/** Read parameters, identity and firmware output into a backup file download */
+async function backupConfig() {
+  if (settingsBusy) return;
+  setSettingsBusy(true);
+  const btn = document.getElementById('btn-backup');
+  try {
+    const identity = getIdentity();
+    const backup = await createBackup(identity, (done, total) => {
+      btn.textContent = done < total ? `Backup ${done}/${total}` : 'Backup';
+    });
+    const board = identity.board?.boardName || 'fc';
+    const filename = `${board}_backup_${fileTimestamp()}.json`;
+    downloadText(filename, serializeBackup(backup), 'application/json');
+    const extras = Object.keys(backup.cli);
+    appendOutput(`[Backed up ${Object.keys(backup.params).length} parameters` +
+      (extras.length ? ` and ${extras.join('/')} output` : '') + ` to ${filename}]\r\n`);
+  } catch (e) {
+    appendOutput(`[Backup failed: ${e.message}]\r\n`);
+  } finally {
+    btn.textContent = 'Backup';
+    setSettingsBusy(false);
+  }
+}
+
+/** Replay a backup file's parameters through the CLI, save, and reload the form (asks first if it is from another FC) */
+async function restoreConfig(file) {
+  if (settingsBusy) return;
+  let backup;
+  try {
+    backup = parseBackup(await file.text());
+  } catch (e) {
+    appendOutput(`[${file.name}: ${e.message}]\r\n`);
+    return;
+  }
+
+  setSettingsBusy(true);
+  const btn = document.getElementById('btn-restore');
+  let result;
+  try {
+    const warnings = backupMismatch(backup, getIdentity());
+    for (const warning of warnings) {
+      appendOutput(`[Warning: ${warning}]\r\n`);
     }
-    // Merge with current form values (file wins on conflicts)
-    const current = getFormParams();
-    if (current.size > 0) {
-      for (const [name, value] of fileParams) current.set(name, value);
-      preserveOriginalsOnLoad = true;  // keep FC originals for dirty tracking
-      renderForm(current);
-    } else {
-      renderForm(fileParams);  // file values become originals
+    if (warnings.length > 0 && !await confirmAction({
+      title: `Restore ${file.name}`,
+      lines: [...warnings.map(w => `The ${w}.`), 'Restoring writes its parameters to this FC and saves them.'],
+      action: 'Restore anyway',
+    })) {
+      appendOutput('[Restore cancelled]\r\n');
+      return;
     }
-    appendOutput(`[Imported ${fileParams.size} parameters from ${file.name}]\r\n`);
+    appendOutput(`> restore ${file.name} (${Object.keys(backup.params).length} parameters)\r\n`);
+    result = await restoreBackup(backup, (done, total) => {
+      btn.textContent = done < total ? `Restore ${done}/${total}` : 'Restore';
+    });
+  } finally {
+    btn.textContent = 'Restore';
+    setSettingsBusy(false);
+  }
+
+  for (const { name, value, error } of result.failed) {
+    appendOutput(`[  ${name} = ${value}: ${error}]\r\n`);
+  }
+  if (result.saveError) {
+    appendOutput(`[Restore not saved: ${result.saveError}]\r\n`);
+  } else {
+    defaultsUnsaved = false;
+    appendOutput(`[Restored ${result.applied} parameters` +
+      (result.failed.length ? `, ${result.failed.length} failed` : '') + ' \u2014 saved]\r\n');
+  }
+  await loadSettings(false, true);
+}
+
+// --- Profiles ---
+
+/** Profile ids ticked for Compare (oldest tick first, at most two) */
+let compareIds = [];
+
+function initProfilePanel() {
+  const panel = document.getElementById('profile-panel');
+  document.getElementById('btn-profiles').addEventListener('click', () => {
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) renderProfiles();
   });
+  document.getElementById('btn-profile-save').addEventListener('click', saveCurrentProfile);
+  document.getElementById('profile-name').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveCurrentProfile();
+  });
+  document.getElementById('btn-profile-compare').addEventListener('click', showComparison);
 }
 
-/** Load defaults: reset params on FC (RAM only), then reload form */
-async function loadDefaults() {
-  if (capturing) return;
-  appendOutput('> defaults\r\n');
-  await sendCommand(serial, 'defaults');
-  await sleep(200);
-  await loadSettings(true, true);
+/** Snapshot the form (including unsaved edits) as a named profile */
+async function saveCurrentProfile() {
+  const nameInput = document.getElementById('profile-name');
+  const params = getFormParams();
+  if (params.size === 0) {
+    appendOutput('[No settings to store \u2014 Load first]\r\n');
+    return;
+  }
+  const fc = getIdentity();
+  const name = nameInput.value.trim() || `${fc.board?.boardName || 'Profile'} ${new Date().toLocaleString()}`;
+  try {
+    await saveProfile({
+      name,
+      board: fc.board?.boardName || '',
+      firmware: fc.version ? `${fc.variant} v${fc.version}` : '',
+      params: Object.fromEntries(params),
+    });
+    nameInput.value = '';
+    appendOutput(`[Stored profile "${name}" (${params.size} parameters)]\r\n`);
+  } catch (e) {
+    appendOutput(`[Could not store profile: ${e.message}]\r\n`);
+  }
+  renderProfiles();
+}
+
+async function renderProfiles() {
+  const list = document.getElementById('profile-list');
+  let profiles;
+  try {
+    profiles = await listProfiles();
+  } catch (e) {
+    list.textContent = `Profile storage unavailable: ${e.message}`;
+    return;
+  }
+  compareIds = compareIds.filter(id => profiles.some(p => p.id === id));
+  updateCompareButton();
+  list.innerHTML = '';
+  if (profiles.length === 0) {
+    list.innerHTML = '<div class="profile-empty">No stored profiles</div>';
+    return;
+  }
+
+  for (const profile of profiles) {
+    const row = document.createElement('div');
+    row.className = 'profile-row';
+
+    const pick = document.createElement('input');
+    pick.type = 'checkbox';
+    pick.title = 'Select for Compare';
+    pick.checked = compareIds.includes(profile.id);
+    pick.addEventListener('change', () => {
+      compareIds = compareIds.filter(id => id !== profile.id);
+      if (pick.checked) compareIds.push(profile.id);
+      if (compareIds.length > 2) compareIds.shift();
+      renderProfiles();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'profile-name';
+    name.textContent = profile.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'profile-meta';
+    meta.textContent = [profile.board, profile.firmware, new Date(profile.created).toLocaleString(),
+      `${Object.keys(profile.params).length} params`].filter(Boolean).join(' \u00b7 ');
+
+    row.append(pick, name, meta,
+      profileButton('Apply', 'Put these values into the form as unsaved changes', () => applyProfile(profile.id)),
+      profileButton('Rename', '', () => startRename(row, name, profile)),
+      profileButton('Delete', '', async () => {
+        try {
+          await deleteProfile(profile.id);
+          appendOutput(`[Deleted profile "${profile.name}"]\r\n`);
+        } catch (e) {
+          appendOutput(`[Could not delete profile: ${e.message}]\r\n`);
+        }
+        renderProfiles();
+      }));
+    list.appendChild(row);
+  }
+}
+
+function profileButton(label, title, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'btn-profile';
+  btn.textContent = label;
+  if (title) btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/** Replace the name with an input; Enter commits, Esc cancels */
+function startRename(row, nameEl, profile) {
+  const input = document.createElement('input');
+  input.className = 'profile-rename';
+  input.value = profile.name;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+  const finish = async (commit) => {
+    input.onblur = null;
+    const name = input.value.trim();
+    if (commit && name && name !== profile.name) {
+      try {
+        await renameProfile(profile.id, name);
+      } catch (e) {
+        appendOutput(`[Could not rename profile: ${e.message}]\r\n`);
+      }
+    }
+    renderProfiles();
+  };
+  input.onkeydown = (e) => {
+    if (e.key === 'Enter') finish(true);
+    else if (e.key === 'Escape') finish(false);
+  };
+  input.onblur = () => finish(true);
+}
+
+/** Merge a profile into the form; FC originals stay, so differences show as dirty */
+async function applyProfile(id) {
+  let profile;
+  try {
+    profile = await getProfile(id);
+  } catch (e) {
+    appendOutput(`[Could not read profile: ${e.message}]\r\n`);
+    return;
+  }
+  if (settingsBusy) return;
+  const current = getFormParams();
+  if (!profile) {
+    appendOutput('[Profile no longer exists]\r\n');
+    renderProfiles();
+    return;
+  }
+  if (current.size === 0) {
+    appendOutput('[Load settings before applying a profile]\r\n');
+    return;
+  }
+  const values = new Map();
+  const unknown = [];
+  for (const [name, value] of Object.entries(profile.params)) {
+    if (current.has(name)) values.set(name, value);
+    else unknown.push(name);
+  }
+  applyValues(values);
+  appendOutput(`[Applied profile "${profile.name}" \u2014 ${getDirtyCount()} changes ready to Save]\r\n`);
+  if (unknown.length) appendOutput(`[Not on this FC: ${unknown.join(', ')}]\r\n`);
+}
+
+function updateCompareButton() {
+  const btn = document.getElementById('btn-profile-compare');
+  btn.disabled = compareIds.length !== 2;
+}
+
+/** Two ticked profiles side by side; differing rows highlighted */
+async function showComparison() {
+  const view = document.getElementById('profile-compare');
+  if (compareIds.length !== 2) return;
+  let a, b;
+  try {
+    [a, b] = await Promise.all(compareIds.map(getProfile));
+  } catch (e) {
+    appendOutput(`[Could not read profiles: ${e.message}]\r\n`);
+    return;
+  }
+  if (!a || !b) {
+    appendOutput('[Profile no longer exists]\r\n');
+    renderProfiles();
+    return;
+  }
+  const rows = compareProfiles(a, b);
+  const differing = rows.filter(r => !r.same).length;
+
+  view.innerHTML = '';
+  const heading = document.createElement('div');
+  heading.className = 'profile-compare-title';
+  heading.textContent = `${differing} of ${rows.length} parameters differ`;
+  const close = profileButton('Close', '', () => view.classList.add('hidden'));
+  heading.appendChild(close);
+
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  for (const text of ['Parameter', a.name, b.name]) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const row of rows) {
+    const tr = body.insertRow();
+    if (!row.same) tr.className = 'differs';
+    for (const text of [row.name, row.a ?? '\u2014', row.b ?? '\u2014']) {
+      tr.insertCell().textContent = text;
+    }
+  }
+  view.append(heading, table);
+  view.classList.remove('hidden');
 }
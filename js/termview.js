@@ -0,0 +1,244 @@
+/**
+ * @file termview.js
+ * @brief Terminal output renderer — CR/LF, backspace, ANSI colours, bounded scrollback
+ *
+ * Completed lines are one <div> each (styled runs as <span>s) and the oldest
+ * are dropped beyond the scrollback limit, instead of one ever-growing text
+ * node. The line being written is kept as cells so CR and backspace overwrite
+ * it like a real terminal. Lines can be selected for copying (click,
+ * shift-click for a range) and find() steps through matching lines.
+ */
+
+/** SGR colour order (30–37 / 40–47, bright 90–97 / 100–107) → CSS class suffix */
+const COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+/** Scrollback choices offered in the UI (lines) */
+export const SCROLLBACK_OPTIONS = [500, 2000, 10000];
+export const DEFAULT_SCROLLBACK = 2000;
+
+/** CSI sequence: ESC [ params final-byte */
+const CSI = /^\x1b\[([0-9;?]*)([@-~])/;
+const CSI_PARTIAL = /^\x1b(\[[0-9;?]*)?$/;
+
+export class TerminalView {
+  /**
+   * @param {HTMLElement} el - Scrollable output container (emptied)
+   * @param {number} scrollback - Completed lines kept
+   */
+  constructor(el, scrollback = DEFAULT_SCROLLBACK) {
+    this.el = el;
+    this.scrollback = scrollback;
+    el.addEventListener('click', (e) => this._onClick(e));
+    this.clear();
+  }
+
+  /** Drop all output and reset colours */
+  clear() {
+    this.el.textContent = '';
+    this.fg = null;
+    this.bg = null;
+    this.bold = false;
+    this.cls = '';
+    this.cells = [];      // current line: { ch, cls }
+    this.col = 0;
+    this.pending = '';    // escape sequence split across chunks
+    this.anchor = null;   // last clicked line (shift-click range start)
+    this.query = '';
+    this.matches = [];
+    this.current = null;  // line of the current match (survives new output and trimming)
+    this.lineEl = this._appendLine();
+  }
+
+  /** Change the scrollback limit (drops excess lines immediately) */
+  setScrollback(lines) {
+    this.scrollback = lines;
+    this._trim();
+  }
+
+  /** Render a chunk of terminal output */
+  write(text) {
+    const atEnd = this.el.scrollTop + this.el.clientHeight >= this.el.scrollHeight - 20;
+    text = this.pending + text;
+    this.pending = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\x1b') {
+        const rest = text.slice(i);
+        const m = rest.match(CSI);
+        if (m) {
+          this._csi(m[1], m[2]);
+          i += m[0].length - 1;
+        } else if (CSI_PARTIAL.test(rest)) {
+          this.pending = rest;
+          break;
+        }
+        // Other escapes are dropped
+      } else if (ch === '\n') {
+        this._newLine();
+      } else if (ch === '\r') {
+        this.col = 0;
+      } else if (ch === '\b') {
+        this.col = Math.max(0, this.col - 1);
+      } else if (ch === '\t') {
+        const stop = (Math.floor(this.col / 8) + 1) * 8;
+        while (this.col < stop) this._put(' ');
+      } else if (ch >= ' ' && ch !== '\x7f') {
+        this._put(ch);
+      }
+    }
+
+    this._renderLine();
+    this._trim();
+    if (atEnd) this.el.scrollTop = this.el.scrollHeight;
+  }
+
+  /** Plain text of the selected lines ('' if none) */
+  selectedText() {
+    return [...this.el.querySelectorAll('.term-line.selected')].map(l => l.textContent).join('\n');
+  }
+
+  /** Plain text of all output */
+  allText() {
+    return [...this.el.children].map(l => l.textContent).join('\n');
+  }
+
+  clearSelection() {
+    for (const line of this.el.querySelectorAll('.term-line.selected')) line.classList.remove('selected');
+    this.anchor = null;
+  }
+
+  /**
+   * Highlight lines containing query (case-insensitive) and move to the next
+   * (step 1) or previous (step -1) one. Matches are rescanned on every call,
+   * so lines written since the last call count and trimmed ones drop out.
+   * @returns {{index: number, total: number}} 1-based position, 0 if no match
+   */
+  find(query, step = 1) {
+    this.current?.classList.remove('match-current');
+    this._setQuery(query);
+    const total = this.matches.length;
+    if (total === 0) {
+      this.current = null;
+      return { index: 0, total: 0 };
+    }
+
+    // Step from the current line; if it was trimmed (or the query changed) start at an end
+    const at = this.matches.indexOf(this.current);
+    const idx = at < 0 ? (step > 0 ? 0 : total - 1) : (at + step + total) % total;
+    this.current = this.matches[idx];
+    this.current.classList.add('match-current');
+    this.current.scrollIntoView({ block: 'nearest' });
+    return { index: idx + 1, total };
+  }
+
+  // --- Internal ---
+
+  _put(ch) {
+    while (this.cells.length < this.col) this.cells.push({ ch: ' ', cls: '' });
+    this.cells[this.col++] = { ch, cls: this.cls };
+  }
+
+  _newLine() {
+    this._renderLine();
+    this.cells = [];
+    this.col = 0;
+    this.lineEl = this._appendLine();
+  }
+
+  _appendLine() {
+    const line = document.createElement('div');
+    line.className = 'term-line';
+    this.el.appendChild(line);
+    return line;
+  }
+
+  /** Rebuild the current line's spans from its cells (runs of equal style) */
+  _renderLine() {
+    const line = this.lineEl;
+    line.textContent = '';
+    let run = '';
+    let runCls = null;
+    const flush = () => {
+      if (!run) return;
+      if (runCls) {
+        const span = document.createElement('span');
+        span.className = runCls;
+        span.textContent = run;
+        line.appendChild(span);
+      } else {
+        line.appendChild(document.createTextNode(run));
+      }
+      run = '';
+    };
+    for (const cell of this.cells) {
+      if (cell.cls !== runCls) {
+        flush();
+        runCls = cell.cls;
+      }
+      run += cell.ch;
+    }
+    flush();
+  }
+
+  /** CSI: SGR colours and erase-in-line; cursor movement etc. is ignored */
+  _csi(params, final) {
+    const args = params === '' ? [0] : params.split(';').map(Number);
+    if (final === 'K') {
+      if (args[0] === 0) this.cells.length = Math.min(this.cells.length, this.col);
+      else if (args[0] === 1) this.cells = this.cells.map((c, i) => (i <= this.col ? { ch: ' ', cls: '' } : c));
+      else if (args[0] === 2) this.cells = [];
+      return;
+    }
+    if (final !== 'm') return;
+
+    for (let i = 0; i < args.length; i++) {
+      const n = args[i];
+      if (n === 0) { this.fg = null; this.bg = null; this.bold = false; }
+      else if (n === 1) this.bold = true;
+      else if (n === 22) this.bold = false;
+      else if (n >= 30 && n <= 37) this.fg = COLORS[n - 30];
+      else if (n >= 90 && n <= 97) this.fg = 'bright-' + COLORS[n - 90];
+      else if (n === 39) this.fg = null;
+      else if (n >= 40 && n <= 47) this.bg = COLORS[n - 40];
+      else if (n >= 100 && n <= 107) this.bg = 'bright-' + COLORS[n - 100];
+      else if (n === 49) this.bg = null;
+      else if (n === 38 || n === 48) i += args[i + 1] === 5 ? 2 : 4;  // 256/RGB colour: skip arguments
+    }
+    this.cls = [this.bold && 'term-bold', this.fg && 'term-fg-' + this.fg, this.bg && 'term-bg-' + this.bg]
+      .filter(Boolean).join(' ');
+  }
+
+  /** Keep at most scrollback completed lines (plus the current one) */
+  _trim() {
+    while (this.el.children.length > this.scrollback + 1) {
+      const first = this.el.firstChild;
+      if (first === this.anchor) this.anchor = null;
+      if (first === this.current) this.current = null;
+      first.remove();
+    }
+  }
+
+  _setQuery(query) {
+    for (const line of this.matches) line.classList.remove('match');
+    if (query !== this.query) this.current = null;
+    this.query = query;
+    const q = query.toLowerCase();
+    this.matches = q ? [...this.el.children].filter(l => l.textContent.toLowerCase().includes(q)) : [];
+    for (const line of this.matches) line.classList.add('match');
+  }
+
+  /** Click toggles a line's selection; shift-click selects the range from the last click */
+  _onClick(e) {
+    const line = e.target.closest('.term-line');
+    if (!line || !window.getSelection().isCollapsed) return;  // a text drag-selection, not a click
+    if (e.shiftKey && this.anchor?.isConnected) {
+      const lines = [...this.el.children];
+      const [a, b] = [lines.indexOf(this.anchor), lines.indexOf(line)].sort((x, y) => x - y);
+      for (let i = a; i <= b; i++) lines[i].classList.add('selected');
+    } else {
+      line.classList.toggle('selected');
+      this.anchor = line;
+    }
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * @file transcript.js
+ * @brief CLI session transcript — timestamped commands and replies for export
+ *
+ * Fed from cli.js setTranscriptCallback: one entry per command run (typed, or
+ * issued by Load/Save/Defaults, backups and scripts — tagged with its source)
+ * plus the CLI text that arrived outside a command, such as the banner. Export
+ * as plain text for reading or JSON for tooling.
+ */
+
+const TRANSCRIPT_FORMAT = 'drehm-cli-transcript';
+const TRANSCRIPT_VERSION = 1;
+
+/** Oldest entries are dropped beyond this */
+const MAX_ENTRIES = 5000;
+
+export class CliTranscript {
+  constructor() {
+    this.clear();
+  }
+
+  /** Start a new transcript (per connection) */
+  clear() {
+    this.started = new Date();
+    this.entries = [];
+  }
+
+  /** setTranscriptCallback entry; consecutive text chunks are merged */
+  add(entry) {
+    const last = this.entries[this.entries.length - 1];
+    if (entry.kind === 'text' && last?.kind === 'text') {
+      last.text += entry.text;
+      return;
+    }
+    this.entries.push({ ...entry });
+    if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+  }
+
+  /**
+   * Plain-text transcript: "> command" lines with their source and duration,
+   * reply lines indented below, "!" for errors.
+   * @param {string} heading - First line (FC identity)
+   * @returns {string}
+   */
+  toText(heading) {
+    const lines = [heading, `Session started ${this.started.toISOString()}`, ''];
+    const indent = ' '.repeat(14);
+    for (const e of this.entries) {
+      if (e.kind === 'text') {
+        const text = e.text.replace(/\r/g, '').replace(/\n?# $/, '').trim();
+        if (!text) continue;
+        text.split('\n').forEach((line, i) => lines.push((i === 0 ? clock(e.time) : indent) + '  ' + line));
+        continue;
+      }
+      lines.push(`${clock(e.time)}> ${e.command}`.padEnd(48) + `(${e.source || 'typed'}, ${e.ms} ms)`);
+      if (e.output) {
+        for (const line of e.output.split('\n')) lines.push(`${indent}< ${line}`);
+      }
+      if (e.error && !e.output.includes(e.error)) lines.push(`${indent}! ${e.error}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * JSON transcript.
+   * @param {object} fc - FC identity (variant, version, api, board)
+   * @returns {string}
+   */
+  toJson(fc) {
+    return JSON.stringify({
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      started: this.started.toISOString(),
+      fc,
+      entries: this.entries.map(e => ({ ...e, time: e.time.toISOString() })),
+    }, null, 2) + '\n';
+  }
+}
+
+/** "HH:MM:SS.mmm  " in local time */
+function clock(d) {
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}  `;
+}
@@ -0,0 +1,529 @@
+/**
+ * @file virtual.js
+ * @brief Built-in virtual flight controller for demo and offline testing
+ *
+ * VirtualSerial offers the same surface as Serial (serial.js) but talks to an
+ * in-browser simulated FC: it answers MSP V1/V2 requests with moving telemetry,
+ * accepts the MSP write commands (SET_RAW_RC, EEPROM_WRITE, RESET_CONF, REBOOT,
+ * calibration), replies to anything else with an error frame, and emulates the
+ * text CLI ('#' banner, enriched `set`, `save`, `defaults`,
+ * `exit` → "Rebooting" → disconnect → reappear). Replies are delivered in
+ * USB-sized chunks with a little latency so parsers see realistic framing.
+ */
+
+import { MSP, crc8DvbS2, mspDecode, mspEncodePayload } from './msp.js';
+
+/** Simulated link timing */
+const REPLY_LATENCY_MS = 3;
+const CHUNK_SIZE = 64;          // USB full-speed bulk packet
+const REBOOT_MS = 1200;         // exit → port reappears
+const RC_OVERRIDE_MS = 1000;    // SET_RAW_RC holds until this long without an update
+
+/** Parameter table: name, default, range, group, printed decimals (0 = integer) */
+const PARAMS = [
+  ['Kp_roll_angle',  0.2,     0, 1,     'Angle PID', 4],
+  ['Ki_roll_angle',  0.3,     0, 1,     'Angle PID', 4],
+  ['Kd_roll_angle',  0.05,    0, 1,     'Angle PID', 4],
+  ['B_loop_roll',    0.9,     0, 1,     'Angle PID', 2],
+  ['Kp_pitch_angle', 0.2,     0, 1,     'Angle PID', 4],
+  ['Ki_pitch_angle', 0.3,     0, 1,     'Angle PID', 4],
+  ['Kd_pitch_angle', 0.05,    0, 1,     'Angle PID', 4],
+  ['B_loop_pitch',   0.9,     0, 1,     'Angle PID', 2],
+  ['Kp_roll_rate',   0.15,    0, 1,     'Rate PID',  4],
+  ['Ki_roll_rate',   0.2,     0, 1,     'Rate PID',  4],
+  ['Kd_roll_rate',   0.0002,  0, 0.01,  'Rate PID',  5],
+  ['Kp_pitch_rate',  0.15,    0, 1,     'Rate PID',  4],
+  ['Ki_pitch_rate',  0.2,     0, 1,     'Rate PID',  4],
+  ['Kd_pitch_rate',  0.0002,  0, 0.01,  'Rate PID',  5],
+  ['Kp_yaw',         0.3,     0, 1,     'Yaw PID',   4],
+  ['Ki_yaw',         0.05,    0, 1,     'Yaw PID',   4],
+  ['Kd_yaw',         0.00015, 0, 0.01,  'Yaw PID',   5],
+  ['i_limit',        25,      0, 100,   'Limits',    1],
+  ['maxRoll',        30,      5, 60,    'Limits',    0],
+  ['maxPitch',       30,      5, 60,    'Limits',    0],
+  ['maxYaw',         160,     10, 500,  'Limits',    0],
+  ['B_madgwick',     0.04,    0, 1,     'Filters',   3],
+  ['B_accel',        0.14,    0, 1,     'Filters',   3],
+  ['B_gyro',         0.1,     0, 1,     'Filters',   3],
+  ['B_mag',          1,       0, 1,     'Filters',   3],
+  ['gyro_lpf',       2,       0, 5,     'Filters',   0],
+  ['use_mag',        0,       0, 1,     'Filters',   0],
+];
+
+const CLI_COMMANDS = {
+  help:     'List commands',
+  set:      'List parameters, or set <name> <value>',
+  get:      'Show one parameter: get <name>',
+  save:     'Save parameters to EEPROM',
+  defaults: 'Load default parameters (RAM only)',
+  version:  'Show firmware version',
+  status:   'Show system status',
+  exit:     'Reboot and return to MSP',
+};
+
+const encoder = new TextEncoder();
+
+/** Reported MSP API version (2.0 → configurator negotiates V2 framing) */
+const API_VERSION = [2, 0];
+
+// MSP request parser states
+const S_IDLE = 0, S_PROTO = 1, S_DIR = 2, S_LEN = 3, S_CMD = 4, S_PAYLOAD = 5, S_CHECKSUM = 6;
+const S_V2_HEADER = 7, S_JUMBO_LEN = 8;
+
+/**
+ * Simulated flight controller. Consumes request bytes, emits reply bytes.
+ * Parameter EEPROM survives reconnects for the lifetime of the page.
+ */
+class VirtualFc {
+  constructor() {
+    this.eeprom = new Map(PARAMS.map(p => [p[0], p[1]]));
+    this.onOutput = null;       // callback(Uint8Array)
+    this.onReboot = null;       // callback() — link drops after "Rebooting"
+    this.boot();
+  }
+
+  /** Power-on: reload RAM from EEPROM, start in MSP mode */
+  boot() {
+    this.values = new Map(this.eeprom);
+    this.cliMode = false;
+    this.line = '';
+    this.state = S_IDLE;
+    this.bootTime = performance.now();
+    this.rcOverride = null;     // { channels, at } from SET_RAW_RC
+  }
+
+  /** Feed request bytes from the configurator */
+  input(data) {
+    for (const c of data) {
+      if (this.cliMode) this._cliByte(c);
+      else this._mspByte(c);
+    }
+  }
+
+  // --- MSP ---
+
+  _mspByte(c) {
+    switch (this.state) {
+      case S_IDLE:
+        if (c === 0x24) this.state = S_PROTO;          // '$'
+        else if (c === 0x23) this._enterCli();         // '#'
+        break;
+      case S_PROTO:
+        this.v2 = (c === 0x58);                        // 'X'
+        this.state = (c === 0x4D || c === 0x58) ? S_DIR : S_IDLE;
+        break;
+      case S_DIR:
+        if (c !== 0x3C) {                              // '<' request
+          this.state = S_IDLE;
+        } else if (this.v2) {
+          this.header = [];
+          this.state = S_V2_HEADER;
+        } else {
+          this.state = S_LEN;
+        }
+        break;
+      case S_V2_HEADER:                                // flag, cmd16, len16
+        this.header.push(c);
+        if (this.header.length === 5) {
+          const h = this.header;
+          this.cmd = h[1] | (h[2] << 8);
+          this.len = h[3] | (h[4] << 8);
+          this.checksum = h.reduce(crc8DvbS2, 0);
+          this._startPayload();
+        }
+        break;
+      case S_LEN:
+        this.len = c;
+        this.checksum = c;
+        this.state = S_CMD;
+        break;
+      case S_CMD:
+        this.cmd = c;
+        this.checksum ^= c;
+        if (this.len === 255) {                        // jumbo: 16-bit length follows
+          this.header = [];
+          this.state = S_JUMBO_LEN;
+        } else {
+          this._startPayload();
+        }
+        break;
+      case S_JUMBO_LEN:
+        this.header.push(c);
+        this.checksum ^= c;
+        if (this.header.length === 2) {
+          this.len = this.header[0] | (this.header[1] << 8);
+          this._startPayload();
+        }
+        break;
+      case S_PAYLOAD:
+        this.payload[this.payloadIdx++] = c;
+        this.checksum = this.v2 ? crc8DvbS2(this.checksum, c) : this.checksum ^ c;
+        if (this.payloadIdx >= this.len) this.state = S_CHECKSUM;
+        break;
+      case S_CHECKSUM:
+        this.state = S_IDLE;
+        if ((this.checksum & 0xFF) === c) this._mspReply(this.cmd, this.v2, this.payload);
+        break;
+    }
+  }
+
+  _startPayload() {
+    this.payload = new Uint8Array(this.len);
+    this.payloadIdx = 0;
+    this.state = this.len > 0 ? S_PAYLOAD : S_CHECKSUM;
+  }
+
+  /** Reply in the framing the request used; '!' error frame if the command was refused */
+  _mspReply(cmd, v2, request) {
+    const reply = this._mspHandle(cmd, request);
+    const dir = reply ? 0x3E : 0x21;               // '>' or '!'
+    const payload = reply || new Uint8Array(0);
+    const len = payload.length;
+    let frame;
+    if (v2) {
+      frame = new Uint8Array(len + 9);
+      frame.set([0x24, 0x58, dir, 0, cmd & 0xFF, cmd >> 8, len & 0xFF, len >> 8]);
+      frame.set(payload, 8);
+      frame[len + 8] = frame.subarray(3, len + 8).reduce(crc8DvbS2, 0);
+    } else {
+      frame = new Uint8Array(len + 6);
+      frame.set([0x24, 0x4D, dir, len, cmd]);
+      frame.set(payload, 5);
+      frame[len + 5] = frame.subarray(3, len + 5).reduce((a, b) => a ^ b, 0);
+    }
+    this._emit(frame);
+    if (reply && cmd === MSP.REBOOT && this.onReboot) setTimeout(() => this.onReboot(), 50);
+  }
+
+  /** @returns {Uint8Array|null} Reply payload, or null for unknown/invalid requests */
+  _mspHandle(cmd, request) {
+    const values = this._mspValues(cmd, request);
+    return values ? mspEncodePayload(cmd, values) : null;
+  }
+
+  /** Reply fields by MSP_SCHEMA name (scaled units), or null to refuse the request */
+  _mspValues(cmd, request) {
+    const t = (performance.now() - this.bootTime) / 1000;
+    switch (cmd) {
+      case MSP.API_VERSION:
+        return { protocol: 0, apiMajor: API_VERSION[0], apiMinor: API_VERSION[1] };
+      case MSP.FC_VARIANT:
+        return { variant: 'DRHM' };
+      case MSP.FC_VERSION:
+        return { major: 1, minor: 3, patch: 0 };
+      case MSP.BOARD_INFO:
+        return { boardId: 'VIRT', boardName: 'VIRTUAL' };
+      case MSP.STATUS:
+        return {
+          cycleTime: 2000 + noise(t, 3) * 15,
+          cpuLoad: 35 + noise(t, 5) * 4,
+          sensors: 0x01 | 0x10,            // ACC + GYRO
+          flags: this._rc(t)[4] > 1500 ? 1 : 0,
+        };
+      case MSP.RAW_IMU: {
+        const roll = Math.sin(t * 0.7) * 0.25;
+        const pitch = Math.sin(t * 0.45) * 0.2;
+        return {
+          accX: Math.sin(pitch) + noise(t, 11) * 0.02,
+          accY: -Math.sin(roll) + noise(t, 13) * 0.02,
+          accZ: Math.cos(roll) * Math.cos(pitch) + noise(t, 17) * 0.02,
+          gyroX: Math.cos(t * 0.7) * 10 + noise(t, 19) * 3,
+          gyroY: Math.cos(t * 0.45) * 8 + noise(t, 23) * 3,
+          gyroZ: Math.sin(t * 0.2) * 15 + noise(t, 29) * 2,
+          magX: Math.cos(t * 0.1) * 300,
+          magY: Math.sin(t * 0.1) * 300,
+          magZ: -400 + noise(t, 31) * 10,
+        };
+      }
+      case MSP.RC:
+        return { ch: this._rc(t) };
+      case MSP.ATTITUDE:
+        return {
+          roll: Math.sin(t * 0.7) * 25,
+          pitch: Math.sin(t * 0.45) * 20,
+          yaw: ((t * 10) % 360) - 180,
+        };
+      case MSP.ANALOG:
+        return {
+          vbat: 16.8 - Math.min(2, t / 300),
+          mAhDrawn: t * 2,
+          rssi: 900 + noise(t, 37) * 20,
+        };
+
+      // --- Writes: empty acknowledgement ---
+      case MSP.SET_RAW_RC:
+        if (request.length === 0 || request.length % 2 || request.length > 36) return null;
+        this.rcOverride = { channels: mspDecode(cmd, request).ch, at: performance.now() };
+        return {};
+      case MSP.EEPROM_WRITE:
+        this.eeprom = new Map(this.values);
+        return {};
+      case MSP.RESET_CONF:
+        this.values = new Map(PARAMS.map(p => [p[0], p[1]]));
+        this.eeprom = new Map(this.values);
+        return {};
+      case MSP.ACC_CALIBRATION:
+      case MSP.MAG_CALIBRATION:
+      case MSP.REBOOT:                               // link drops after the ack
+        return {};
+    }
+    return null;
+  }
+
+  /** Slowly wandering sticks; AUX1 toggles arm every 20 s. SET_RAW_RC overrides while fresh. */
+  _rc(t) {
+    const o = this.rcOverride;
+    if (o && performance.now() - o.at < RC_OVERRIDE_MS) return o.channels;
+    return [
+      1500 + Math.sin(t * 0.9) * 300,
+      1500 + Math.sin(t * 0.6 + 1) * 250,
+      1100 + (Math.sin(t * 0.3) + 1) * 300,
+      1500 + Math.sin(t * 0.4 + 2) * 150,
+      Math.floor(t / 20) % 2 ? 1900 : 1100,
+      1500,
+    ].map(Math.round);
+  }
+
+  // --- CLI ---
+
+  _enterCli() {
+    this.cliMode = true;
+    this.line = '';
+    this._print("\r\nEntering CLI Mode, type 'exit' to reboot, or 'help'\r\n\r\n# ");
+  }
+
+  _cliByte(c) {
+    if (c === 0x0D || c === 0x0A) {           // CR / LF
+      if (c === 0x0A && this.lastByte === 0x0D) {
+        this.lastByte = c;
+        return;
+      }
+      this.lastByte = c;
+      const line = this.line.trim();
+      this.line = '';
+      this._print(line + '\r\n');             // echo
+      this._cliCommand(line);
+      return;
+    }
+    this.lastByte = c;
+    if (c === 0x08 || c === 0x7F) {          // backspace
+      this.line = this.line.slice(0, -1);
+    } else if (c >= 0x20) {
+      this.line += String.fromCharCode(c);
+    }
+  }
+
+  _cliCommand(line) {
+    const [cmd, ...args] = line.split(/\s+/);
+    let out = '';
+    switch (cmd) {
+      case '':
+        break;
+      case 'help':
+        for (const [name, desc] of Object.entries(CLI_COMMANDS)) {
+          out += `${name.padEnd(10)}${desc}\r\n`;
+        }
+        break;
+      case 'set':
+        out = args.length === 0 ? this._listParams() : this._setParam(args);
+        break;
+      case 'get': {
+        const p = PARAMS.find(def => def[0] === args[0]);
+        out = p ? this._formatParam(p) + '\r\n' : `ERROR: unknown parameter '${args[0] || ''}'\r\n`;
+        break;
+      }
+      case 'save':
+        this.eeprom = new Map(this.values);
+        out = 'Saved to EEPROM\r\n';
+        break;
+      case 'defaults':
+        this.values = new Map(PARAMS.map(p => [p[0], p[1]]));
+        out = 'Defaults loaded (RAM only, use save to persist)\r\n';
+        break;
+      case 'version':
+        out = 'dRehmFlight STM32 1.3b / VIRTUAL (simulated)\r\n';
+        break;
+      case 'status': {
+        const up = ((performance.now() - this.bootTime) / 1000).toFixed(0);
+        out = `Uptime: ${up} s, cycle 2000 us, sensors: ACC GYRO\r\n`;
+        break;
+      }
+      case 'exit':
+        this._print('\r\nRebooting\r\n');
+        if (this.onReboot) setTimeout(() => this.onReboot(), 50);
+        return;
+      default:
+        out = `Unknown command '${cmd}', try 'help'\r\n`;
+    }
+    this._print(out + '\r\n# ');
+  }
+
+  _listParams() {
+    return PARAMS.map(p => this._formatParam(p) + '\r\n').join('');
+  }
+
+  _formatParam(p) {
+    const [name, , min, max, group] = p;
+    return `${name} = ${formatValue(p, this.values.get(name))} [${min}:${max}] {${group}}`;
+  }
+
+  /** `set name value` — firmware clamps to range rather than rejecting */
+  _setParam([name, value]) {
+    const p = PARAMS.find(def => def[0] === name);
+    if (!p) return `ERROR: unknown parameter '${name}'\r\n`;
+    const num = parseFloat(value);
+    if (value === undefined || isNaN(num)) return `ERROR: invalid value for ${name}\r\n`;
+    const [, , min, max, , decimals] = p;
+    let v = Math.min(max, Math.max(min, num));
+    if (decimals === 0) v = Math.round(v);
+    this.values.set(name, v);
+    return `${name} set to ${formatValue(p, v)}\r\n`;
+  }
+
+  _print(text) {
+    this._emit(encoder.encode(text));
+  }
+
+  _emit(bytes) {
+    if (this.onOutput) this.onOutput(bytes);
+  }
+}
+
+export class VirtualSerial {
+  constructor() {
+    this.port = null;           // 'virtual' while attached
+    this.fc = new VirtualFc();
+    this.linkName = 'Virtual FC';
+    this.byteRate = CHUNK_SIZE * 1000;  // one packet per ms while replies drain
+    this.onReceive = null;      // callback(Uint8Array)
+    this.onWrite = null;        // callback(Uint8Array) — outgoing bytes (session capture)
+    this.onDisconnect = null;
+    this.onPortsChanged = null;
+    this._open = false;
+    this._rebooting = false;
+    this._cancelWait = null;
+    this._txQueue = [];
+    this._txTimer = null;
+
+    this.fc.onOutput = (bytes) => this._queueTx(bytes);
+    this.fc.onReboot = () => this._reboot();
+  }
+
+  get connected() {
+    return this._open;
+  }
+
+  /** No hot-plug events for the simulator */
+  startPortEvents() {}
+
+  /** Offered via a fixed dropdown entry, not the scanned list */
+  async scanPorts() {
+    return [];
+  }
+
+  async connectPort() {
+    await this.disconnect();
+    if (this._rebooting) throw new Error('Virtual FC is rebooting');
+    this.port = 'virtual';
+    this._open = true;
+  }
+
+  async connectNew() {
+    await this.connectPort();
+  }
+
+  async disconnect() {
+    if (!this._open) {
+      this.port = null;
+      return;
+    }
+    this._close();
+    this.port = null;
+    // Fire onDisconnect like Serial's read loop does when its reader is cancelled
+    if (this.onDisconnect) this.onDisconnect();
+  }
+
+  async write(data) {
+    if (!this._open) return;
+    const buf = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (this.onWrite) this.onWrite(buf);
+    // Hand over asynchronously, as a real port would
+    setTimeout(() => { if (this._open) this.fc.input(buf); }, 0);
+  }
+
+  /**
+   * Wait for the simulated board to finish rebooting.
+   * @param {number} timeoutMs - Maximum wait time (default 5000)
+   * @returns {Promise<boolean>} true if the board came back, false on timeout/cancel
+   */
+  waitForPort(timeoutMs = 5000) {
+    if (!this.port) return Promise.resolve(false);
+    return new Promise(resolve => {
+      const pollMs = 100;
+      let elapsed = 0;
+      const timerId = setInterval(() => {
+        elapsed += pollMs;
+        if (!this._rebooting || elapsed >= timeoutMs) {
+          clearInterval(timerId);
+          this._cancelWait = null;
+          resolve(!this._rebooting);
+        }
+      }, pollMs);
+      this._cancelWait = () => {
+        clearInterval(timerId);
+        this._cancelWait = null;
+        resolve(false);
+      };
+    });
+  }
+
+  /** Cancel a pending waitForPort (e.g. user clicks Disconnect during wait) */
+  cancelWaitForPort() {
+    if (this._cancelWait) this._cancelWait();
+  }
+
+  /** Internal: "Rebooting" sent — drop the link, come back after REBOOT_MS */
+  _reboot() {
+    if (!this._open) return;
+    this._rebooting = true;
+    this._close();
+    if (this.onDisconnect) this.onDisconnect();
+    setTimeout(() => {
+      this.fc.boot();
+      this._rebooting = false;
+    }, REBOOT_MS);
+  }
+
+  _close() {
+    this._open = false;
+    clearTimeout(this._txTimer);
+    this._txTimer = null;
+    this._txQueue = [];
+  }
+
+  /** Internal: split replies into CHUNK_SIZE packets delivered with latency */
+  _queueTx(bytes) {
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      this._txQueue.push(bytes.slice(i, i + CHUNK_SIZE));
+    }
+    if (!this._txTimer) this._txTimer = setTimeout(() => this._drainTx(), REPLY_LATENCY_MS);
+  }
+
+  _drainTx() {
+    this._txTimer = null;
+    const chunk = this._txQueue.shift();
+    if (!chunk || !this._open) return;
+    if (this.onReceive) this.onReceive(chunk);
+    if (this._txQueue.length) this._txTimer = setTimeout(() => this._drainTx(), 1);
+  }
+}
+
+/** Print a parameter value the way the firmware does (fixed decimals) */
+function formatValue(p, v) {
+  return v.toFixed(p[5]);
+}
+
+/** Cheap deterministic jitter in [-1, 1] */
+function noise(t, seed) {
+  return Math.sin(t * seed * 12.9898 + seed * 78.233) * Math.cos(t * seed * 4.1414);
+}
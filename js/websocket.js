@@ -0,0 +1,215 @@
+/**
+ * @file websocket.js
+ * @brief WebSocket transport for dRehmFlight PWA Configurator
+ *
+ * Same surface as Serial (serial.js) over a binary WebSocket — for SITL builds
+ * and serial-over-network bridges (ser2net/socat behind websockify on a Pi).
+ * The "port" is the WebSocket URL; recently used addresses are remembered so
+ * they appear in the port list like previously-granted serial ports.
+ */
+
+const STORAGE_KEY = 'drehm-net-addresses';
+const MAX_RECENT = 4;
+const CONNECT_TIMEOUT_MS = 3000;
+
+/** The bridge's serial side is the bottleneck — assume 115200 baud behind it */
+const BYTE_RATE = 11520;
+
+const encoder = new TextEncoder();
+
+/**
+ * Normalize user input to a WebSocket URL.
+ * Accepts "host:port", "ws://host:port/path" or "wss://...".
+ * @param {string} address - User-entered address
+ * @returns {string} WebSocket URL
+ */
+export function toWebSocketUrl(address) {
+  const trimmed = (address || '').trim();
+  if (!trimmed) throw new Error('Enter a host:port address');
+  if (/^wss?:\/\//i.test(trimmed)) return trimmed;
+  return 'ws://' + trimmed;
+}
+
+export class WebSocketSerial {
+  constructor() {
+    this.port = null;           // WebSocket URL
+    this.socket = null;
+    this.linkName = 'Network link';
+    this.byteRate = BYTE_RATE;  // bytes/s, for the poll scheduler
+    this.onReceive = null;      // callback(Uint8Array)
+    this.onWrite = null;        // callback(Uint8Array) — outgoing bytes (session capture)
+    this.onDisconnect = null;
+    this.onPortsChanged = null; // callback() — recent address list changed
+    this._cancelWait = null;    // cancellation fn for waitForPort
+  }
+
+  get connected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /** No hot-plug events for network links */
+  startPortEvents() {}
+
+  /**
+   * List recently used addresses.
+   * @returns {Array<{port, label}>} URLs with display labels
+   */
+  async scanPorts() {
+    return loadRecent().map(url => ({
+      port: url,
+      label: 'WS ' + url.replace(/^wss?:\/\//i, ''),
+      hasUsb: false,
+    }));
+  }
+
+  /** Connect to a WebSocket URL (baud rate is set by the bridge) */
+  async connectPort(url) {
+    await this.disconnect();
+    const socket = await openSocket(url);
+    this.socket = socket;
+    this.port = url;
+    // Events from a socket replaced by a quick disconnect/reconnect are ignored
+    socket.addEventListener('message', (e) => {
+      if (socket !== this.socket || !this.onReceive) return;
+      const bytes = toBytes(e.data);
+      if (bytes) this.onReceive(bytes);
+    });
+    socket.addEventListener('close', (e) => this._handleClose(e.target));
+    saveRecent(url);
+  }
+
+  /** Connect to a user-entered host:port address */
+  async connectNew(address) {
+    await this.connectPort(toWebSocketUrl(address));
+  }
+
+  /** Close the socket and clean up */
+  async disconnect() {
+    const socket = this.socket;
+    if (!socket) {
+      this.port = null;
+      return;
+    }
+    this.socket = null;
+    this.port = null;
+    try { socket.close(); } catch {}
+    // Fire onDisconnect like Serial's read loop does when its reader is cancelled
+    if (this.onDisconnect) this.onDisconnect();
+  }
+
+  /** Send raw bytes */
+  async write(data) {
+    if (!this.connected) return;
+    const buf = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (this.onWrite) this.onWrite(buf);
+    this.socket.send(buf);
+  }
+
+  /**
+   * Wait for the remote end to accept connections again after a reboot.
+   * Probes the same URL every 500ms; the probe socket is closed on success.
+   * @param {number} timeoutMs - Maximum wait time (default 5000)
+   * @returns {Promise<boolean>} true if address is reachable, false on timeout/cancel
+   */
+  waitForPort(timeoutMs = 5000) {
+    const target = this.port;
+    if (!target) return Promise.resolve(false);
+
+    return new Promise(resolve => {
+      const pollMs = 500;
+      let elapsed = 0;
+      let timerId = null;
+      let cancelled = false;
+
+      const check = async () => {
+        try {
+          const probe = await openSocket(target);
+          probe.close();
+          if (cancelled) return;
+          this._cancelWait = null;
+          resolve(true);
+          return;
+        } catch {
+          if (cancelled) return;
+        }
+        elapsed += pollMs;
+        if (elapsed >= timeoutMs) {
+          this._cancelWait = null;
+          resolve(false);
+          return;
+        }
+        timerId = setTimeout(check, pollMs);
+      };
+
+      timerId = setTimeout(check, pollMs);
+      this._cancelWait = () => {
+        cancelled = true;
+        clearTimeout(timerId);
+        this._cancelWait = null;
+        resolve(false);
+      };
+    });
+  }
+
+  /** Cancel a pending waitForPort (e.g. user clicks Disconnect during wait) */
+  cancelWaitForPort() {
+    if (this._cancelWait) this._cancelWait();
+  }
+
+  /** Internal: remote closed the socket — keep this.port for waitForPort */
+  _handleClose(socket) {
+    if (socket !== this.socket) return;  // closed via disconnect(), or an older socket
+    this.socket = null;
+    if (this.onDisconnect) this.onDisconnect();
+  }
+}
+
+/**
+ * Frame data as bytes: binary frames as-is, text frames (some bridges send
+ * the CLI as text) UTF-8 encoded. Anything else is dropped (null).
+ */
+function toBytes(data) {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (typeof data === 'string') return encoder.encode(data);
+  return null;
+}
+
+/** Open a binary WebSocket, resolving once connected */
+function openSocket(url) {
+  return new Promise((resolve, reject) => {
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    const timer = setTimeout(() => {
+      try { socket.close(); } catch {}
+      reject(new Error('Timed out connecting to ' + url));
+    }, CONNECT_TIMEOUT_MS);
+    socket.addEventListener('open', () => {
+      clearTimeout(timer);
+      resolve(socket);
+    }, { once: true });
+    socket.addEventListener('error', () => {
+      clearTimeout(timer);
+      reject(new Error('Could not connect to ' + url));
+    }, { once: true });
+  });
+}
+
+function loadRecent() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveRecent(url) {
+  const list = [url, ...loadRecent().filter(u => u !== url)].slice(0, MAX_RECENT);
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); } catch {}
+}
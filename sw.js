@@ -6,7 +6,7 @@
  * falling back to network. Bump CACHE_VERSION to force update.
  */
 
-const CACHE_VERSION = 'drehm-v3';
+const CACHE_VERSION = 'drehm-v21';
 
 const APP_SHELL = [
   './',
@@ -14,13 +14,30 @@ const APP_SHELL = [
   './css/style.css',
   './js/app.js',
   './js/serial.js',
+  './js/ble.js',
+  './js/websocket.js',
+  './js/virtual.js',
+  './js/capture.js',
+  './js/capabilities.js',
+  './js/metrics.js',
+  './js/scheduler.js',
   './js/msp.js',
   './js/cli.js',
+  './js/backup.js',
+  './js/termview.js',
+  './js/script.js',
+  './js/history.js',
+  './js/favourites.js',
+  './js/transcript.js',
+  './js/profiles.js',
+  './js/review.js',
+  './js/params.js',
   './js/log.js',
   './js/util.js',
   './js/tabs/status.js',
   './js/tabs/receiver.js',
   './js/tabs/sensors.js',
+  './js/tabs/inspector.js',
   './js/tabs/terminal.js',
   './icons/icon-192.png',
   './icons/icon-512.png',